@@ -0,0 +1,380 @@
+const express = require('express');
+const request = require('supertest');
+const { query, getClient } = require('../../config/database');
+const tasksRouter = require('../../routes/tasks');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+
+// Every request is made by the same signed-in user
+jest.mock('../../middleware/auth', () => {
+  const signIn = (req, res, next) => {
+    req.user = { id: mockUserId, email: 'ada@example.com' };
+    req.auth = { type: 'jwt' };
+    next();
+  };
+  return { authenticateToken: signIn, authenticateTokenAllowUnverified: signIn, PAT_SCOPES: [] };
+});
+
+const mockUserId = '0b6f4a52-2f5e-4c1a-9d3e-7a8b9c0d1e2f';
+const SUBJECT_ID = '5c9e1d2a-3b4c-4d5e-8f60-718293a4b5c6';
+const TASK_A = 'a1a1a1a1-1111-4111-8111-111111111111';
+const TASK_B = 'b2b2b2b2-2222-4222-8222-222222222222';
+const TASK_C = 'c3c3c3c3-3333-4333-8333-333333333333';
+
+const app = express();
+app.use(express.json());
+app.use('/api/tasks', tasksRouter);
+
+// The database is faked per test: each statement gets the rows of the first
+// responder whose SQL contains the given fragment (no rows otherwise) and is
+// recorded, in order, for the assertions
+let responders;
+let statements;
+
+const answer = async (text, values) => {
+  statements.push({ text, values });
+  const responder = responders.find(([fragment]) => text.includes(fragment));
+  return { rows: responder ? responder[1] : [] };
+};
+
+const respond = (...pairs) => {
+  responders = pairs;
+};
+
+const ran = (fragment) => statements.filter(statement => statement.text.includes(fragment));
+const indexOf = (fragment) => statements.findIndex(statement => statement.text.includes(fragment));
+
+beforeEach(() => {
+  responders = [];
+  statements = [];
+  query.mockImplementation(answer);
+  getClient.mockResolvedValue({ query: answer, release: jest.fn() });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const taskRow = (id, fields = {}) => ({
+  id,
+  user_id: mockUserId,
+  title: `Task ${id.slice(0, 1)}`,
+  subject_id: SUBJECT_ID,
+  due_date: '2025-01-13',
+  priority: 'medium',
+  completed: false,
+  recurrence: null,
+  ...fields
+});
+
+describe('PATCH /api/tasks/bulk', () => {
+  const BULK_TARGETS = 'SELECT id, user_id, title, subject_id, due_date, priority, completed, recurrence';
+  const bulk = (body) => request(app).patch('/api/tasks/bulk').send(body);
+
+  it('applies the action to every task in one transaction', async () => {
+    respond([BULK_TARGETS, [taskRow(TASK_A), taskRow(TASK_B)]]);
+
+    const res = await bulk({ action: 'complete', taskIds: [TASK_A, TASK_B] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ matched: 2, updated: 2, failed: 0 });
+    expect(ran('UPDATE tasks SET completed = true').map(statement => statement.values)).toEqual([[TASK_A], [TASK_B]]);
+    expect(ran('INSERT INTO task_history')).toHaveLength(2);
+    expect(ran('COMMIT')).toHaveLength(1);
+  });
+
+  it('reports unchanged and skipped tasks without failing', async () => {
+    respond([BULK_TARGETS, [taskRow(TASK_A, { completed: true }), taskRow(TASK_B, { recurrence: { freq: 'weekly' } })]]);
+
+    const res = await bulk({ action: 'complete', taskIds: [TASK_A, TASK_B] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(result => result.status)).toEqual(['unchanged', 'skipped']);
+    expect(ran('UPDATE tasks SET')).toHaveLength(0);
+  });
+
+  it('rolls back a dry run', async () => {
+    respond([BULK_TARGETS, [taskRow(TASK_A)]]);
+
+    const res = await bulk({ action: 'delete', taskIds: [TASK_A], dryRun: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, summary: { deleted: 1 } });
+    expect(ran('ROLLBACK')).toHaveLength(1);
+    expect(ran('COMMIT')).toHaveLength(0);
+  });
+
+  it('reads dryRun "false" as false', async () => {
+    respond([BULK_TARGETS, [taskRow(TASK_A)]]);
+
+    const res = await bulk({ action: 'delete', taskIds: [TASK_A], dryRun: 'false' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.dryRun).toBe(false);
+    expect(ran('COMMIT')).toHaveLength(1);
+  });
+
+  it('fails the whole batch when a task is not found', async () => {
+    respond([BULK_TARGETS, [taskRow(TASK_A)]]);
+
+    const res = await bulk({ action: 'priority', priority: 'high', taskIds: [TASK_A, TASK_B] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.results).toContainEqual({ id: TASK_B, status: 'failed', reason: 'Task not found' });
+    expect(ran('ROLLBACK')).toHaveLength(1);
+    expect(ran('COMMIT')).toHaveLength(0);
+  });
+
+  describe('completing tasks with prerequisites', () => {
+    it('fails while a prerequisite outside the batch is open', async () => {
+      respond(
+        [BULK_TARGETS, [taskRow(TASK_A)]],
+        ['FROM task_dependencies d', [{ task_id: TASK_A, depends_on_id: TASK_C }]]
+      );
+
+      const res = await bulk({ action: 'complete', taskIds: [TASK_A] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.results).toEqual([{ id: TASK_A, title: 'Task a', status: 'failed', reason: 'Task has open prerequisites' }]);
+      expect(ran('COMMIT')).toHaveLength(0);
+    });
+
+    it('succeeds when the prerequisite is completed in the same batch', async () => {
+      respond(
+        [BULK_TARGETS, [taskRow(TASK_A), taskRow(TASK_B)]],
+        ['FROM task_dependencies d', [{ task_id: TASK_A, depends_on_id: TASK_B }]]
+      );
+
+      const res = await bulk({ action: 'complete', taskIds: [TASK_A, TASK_B] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.summary.updated).toBe(2);
+    });
+
+    it('succeeds with force', async () => {
+      respond(
+        [BULK_TARGETS, [taskRow(TASK_A)]],
+        ['FROM task_dependencies d', [{ task_id: TASK_A, depends_on_id: TASK_C }]]
+      );
+
+      const res = await bulk({ action: 'complete', taskIds: [TASK_A], force: 'true' });
+
+      expect(res.status).toBe(200);
+      expect(ran('COMMIT')).toHaveLength(1);
+    });
+
+    it('does not take force "false" as force', async () => {
+      respond(
+        [BULK_TARGETS, [taskRow(TASK_A)]],
+        ['FROM task_dependencies d', [{ task_id: TASK_A, depends_on_id: TASK_C }]]
+      );
+
+      const res = await bulk({ action: 'complete', taskIds: [TASK_A], force: 'false' });
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  it('needs either taskIds or a filter', async () => {
+    const res = await bulk({ action: 'complete', taskIds: [TASK_A], filter: { priority: 'low' } });
+
+    expect(res.status).toBe(400);
+    expect(statements).toHaveLength(0);
+  });
+
+  it('selects targets by filter', async () => {
+    respond([BULK_TARGETS, []]);
+
+    const res = await bulk({ action: 'delete', filter: { subjectId: SUBJECT_ID, completed: 'false' } });
+
+    expect(res.status).toBe(200);
+    expect(ran(BULK_TARGETS)[0].values).toEqual([mockUserId, SUBJECT_ID, false]);
+  });
+});
+describe('stopping the running timer', () => {
+  const STOP_TIMER = 'UPDATE task_time_entries';
+  const ITEM_ID = 'd4d4d4d4-4444-4444-8444-444444444444';
+
+  it('happens for each task a bulk complete finishes, inside the transaction', async () => {
+    respond(['SELECT id, user_id, title, subject_id', [taskRow(TASK_A), taskRow(TASK_B)]]);
+
+    await request(app).patch('/api/tasks/bulk').send({ action: 'complete', taskIds: [TASK_A, TASK_B] });
+
+    expect(ran(STOP_TIMER).map(statement => statement.values)).toEqual([[mockUserId, TASK_A], [mockUserId, TASK_B]]);
+    expect(indexOf(STOP_TIMER)).toBeLessThan(indexOf('COMMIT'));
+  });
+
+  it('happens for each task a bulk delete moves to the trash', async () => {
+    respond(['SELECT id, user_id, title, subject_id', [taskRow(TASK_A)]]);
+
+    await request(app).patch('/api/tasks/bulk').send({ action: 'delete', taskIds: [TASK_A] });
+
+    expect(ran(STOP_TIMER).map(statement => statement.values)).toEqual([[mockUserId, TASK_A]]);
+  });
+
+  it('does not happen for a bulk uncomplete', async () => {
+    respond(['SELECT id, user_id, title, subject_id', [taskRow(TASK_A, { completed: true })]]);
+
+    await request(app).patch('/api/tasks/bulk').send({ action: 'uncomplete', taskIds: [TASK_A] });
+
+    expect(ran(STOP_TIMER)).toHaveLength(0);
+  });
+
+  describe('on PUT /api/tasks/:id', () => {
+    const update = (body) => {
+      respond(
+        ['SELECT * FROM tasks', [taskRow(TASK_A)]],
+        ['UPDATE tasks', [taskRow(TASK_A, { completed: body.completed === true })]]
+      );
+      return request(app).put(`/api/tasks/${TASK_A}`).send(body);
+    };
+
+    it('happens when the task is completed', async () => {
+      const res = await update({ completed: true });
+
+      expect(res.status).toBe(200);
+      expect(ran(STOP_TIMER).map(statement => statement.values)).toEqual([[mockUserId, TASK_A]]);
+    });
+
+    it('does not happen for completed "false"', async () => {
+      const res = await update({ completed: 'false' });
+
+      expect(res.status).toBe(200);
+      expect(ran(STOP_TIMER)).toHaveLength(0);
+    });
+  });
+
+  describe('when checking off a checklist item', () => {
+    const checkOff = (autoCompleted) => {
+      respond(
+        ['FROM task_checklist_items i', [{ id: ITEM_ID, completed: false }]],
+        ['UPDATE task_checklist_items', [{ id: ITEM_ID, title: 'Outline', position: 0, completed: true }]],
+        ['UPDATE tasks t', autoCompleted ? [{ ...taskRow(TASK_A), completed: true, completed_at: new Date() }] : []],
+        ['SELECT t.id, t.completed', [{ id: TASK_A, completed: autoCompleted, checklist_total: 1, checklist_completed: 1 }]]
+      );
+      return request(app).put(`/api/tasks/${TASK_A}/checklist/${ITEM_ID}`).send({ completed: true });
+    };
+
+    it('happens when it auto-completes the task', async () => {
+      const res = await checkOff(true);
+
+      expect(res.status).toBe(200);
+      expect(res.body.task.completed).toBe(true);
+      expect(ran(STOP_TIMER).map(statement => statement.values)).toEqual([[mockUserId, TASK_A]]);
+    });
+
+    it('does not happen while the task stays open', async () => {
+      const res = await checkOff(false);
+
+      expect(res.status).toBe(200);
+      expect(ran(STOP_TIMER)).toHaveLength(0);
+    });
+  });
+});
+describe('prerequisites', () => {
+  const OPEN_PREREQUISITE = { id: TASK_C, title: 'Task c' };
+
+  describe('on PUT /api/tasks/:id', () => {
+    const complete = (body, { existing = taskRow(TASK_A), prerequisites = [OPEN_PREREQUISITE] } = {}) => {
+      respond(
+        ['SELECT * FROM tasks', [existing]],
+        ['FROM task_dependencies d', prerequisites],
+        ['UPDATE tasks', [taskRow(TASK_A, { completed: true })]]
+      );
+      return request(app).put(`/api/tasks/${TASK_A}`).send(body);
+    };
+
+    it('refuses to complete a task with open prerequisites', async () => {
+      const res = await complete({ completed: true });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({ code: 'TASK_BLOCKED', prerequisites: [OPEN_PREREQUISITE] });
+      expect(ran('UPDATE tasks')).toHaveLength(0);
+    });
+
+    it('completes it with force and warns', async () => {
+      const res = await complete({ completed: true, force: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        warning: 'Task was completed before its prerequisites',
+        prerequisites: [OPEN_PREREQUISITE]
+      });
+      expect(ran('UPDATE tasks')).toHaveLength(1);
+    });
+
+    it('completes it once the prerequisites are done', async () => {
+      const res = await complete({ completed: true }, { prerequisites: [] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.warning).toBeUndefined();
+    });
+
+    it('does not check them for other edits or an already completed task', async () => {
+      await complete({ title: 'Renamed', completed: 'false' });
+      await complete({ completed: true }, { existing: taskRow(TASK_A, { completed: true }) });
+
+      expect(ran('FROM task_dependencies d')).toHaveLength(0);
+    });
+  });
+
+  it('keep checklist auto-complete from completing a blocked task', async () => {
+    respond(
+      ['FROM task_checklist_items i', [{ id: TASK_B, completed: false }]],
+      ['UPDATE task_checklist_items', [{ id: TASK_B, completed: true }]],
+      ['SELECT t.id, t.completed', [{ id: TASK_A, completed: false, checklist_total: 1, checklist_completed: 1 }]]
+    );
+
+    await request(app).put(`/api/tasks/${TASK_A}/checklist/${TASK_B}`).send({ completed: true });
+
+    expect(ran('UPDATE tasks t')[0].text).toMatch(/c\.done < c\.total OR NOT EXISTS \([\s\S]*FROM task_dependencies d[\s\S]*NOT p\.completed/);
+  });
+
+  describe('POST /api/tasks/:id/dependencies', () => {
+    const LOCK_USER = 'FROM users WHERE id = $1 FOR UPDATE';
+    const CYCLE_CHECK = 'WITH RECURSIVE prerequisites';
+    const INSERT_LINK = 'INSERT INTO task_dependencies';
+
+    const link = ({ cycle = false, inserted = true } = {}) => {
+      respond(
+        ['SELECT id, recurrence FROM tasks', [{ id: TASK_A, recurrence: null }, { id: TASK_B, recurrence: null }]],
+        [CYCLE_CHECK, cycle ? [{ '?column?': 1 }] : []],
+        [INSERT_LINK, inserted ? [{ task_id: TASK_A }] : []]
+      );
+      return request(app).post(`/api/tasks/${TASK_A}/dependencies`).send({ dependsOnId: TASK_B });
+    };
+
+    it('checks for a cycle and adds the link under the user lock', async () => {
+      const res = await link();
+
+      expect(res.status).toBe(201);
+      expect(ran(LOCK_USER)[0].values).toEqual([mockUserId]);
+      expect(ran(CYCLE_CHECK)[0].values).toEqual([TASK_B, TASK_A]);
+      const order = ['BEGIN', LOCK_USER, CYCLE_CHECK, INSERT_LINK, 'COMMIT'].map(indexOf);
+      expect(order).not.toContain(-1);
+      expect(order).toEqual([...order].sort((first, second) => first - second));
+    });
+
+    it('rolls back a link that would close a cycle', async () => {
+      const res = await link({ cycle: true });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Dependency would create a cycle');
+      expect(ran(INSERT_LINK)).toHaveLength(0);
+      expect(ran('ROLLBACK')).toHaveLength(1);
+      expect(ran('COMMIT')).toHaveLength(0);
+    });
+
+    it('rolls back a link that already exists', async () => {
+      const res = await link({ inserted: false });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Dependency already exists');
+      expect(ran('ROLLBACK')).toHaveLength(1);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+const { topologicalOrder } = require('../../utils/dependencies');
+
+const task = (id, fields = {}) => ({ id, dueDate: '2025-01-20', dueTime: null, priority: 'medium', ...fields });
+const ids = (tasks) => tasks.map(t => t.id);
+
+describe('topologicalOrder', () => {
+  it('puts prerequisites before the tasks that depend on them', () => {
+    const tasks = [task('essay', { dueDate: '2025-01-14' }), task('outline', { dueDate: '2025-01-18' }), task('research', { dueDate: '2025-01-19' })];
+    const edges = [
+      { taskId: 'essay', dependsOnId: 'outline' },
+      { taskId: 'outline', dependsOnId: 'research' }
+    ];
+
+    expect(ids(topologicalOrder(tasks, edges))).toEqual(['research', 'outline', 'essay']);
+  });
+
+  it('orders ready tasks by due date and time, then priority', () => {
+    const tasks = [
+      task('later', { dueDate: '2025-01-21', priority: 'high' }),
+      task('untimed', { priority: 'high' }),
+      task('low', { dueTime: '09:00', priority: 'low' }),
+      task('high', { dueTime: '09:00', priority: 'high' })
+    ];
+
+    expect(ids(topologicalOrder(tasks, []))).toEqual(['high', 'low', 'untimed', 'later']);
+  });
+
+  it('releases a task once all its prerequisites are placed', () => {
+    const tasks = [task('exam', { dueDate: '2025-01-15' }), task('notes'), task('quiz', { dueDate: '2025-01-16' })];
+    const edges = [
+      { taskId: 'exam', dependsOnId: 'notes' },
+      { taskId: 'exam', dependsOnId: 'quiz' }
+    ];
+
+    expect(ids(topologicalOrder(tasks, edges))).toEqual(['quiz', 'notes', 'exam']);
+  });
+
+  it('ignores links to tasks outside the list', () => {
+    const tasks = [task('a', { dueDate: '2025-01-15' }), task('b', { dueDate: '2025-01-14' })];
+
+    expect(ids(topologicalOrder(tasks, [{ taskId: 'b', dependsOnId: 'elsewhere' }]))).toEqual(['b', 'a']);
+  });
+
+  it('appends tasks caught in a cycle after the rest', () => {
+    const tasks = [task('x', { dueDate: '2025-01-14' }), task('y', { dueDate: '2025-01-15' }), task('free', { dueDate: '2025-01-30' })];
+    const edges = [
+      { taskId: 'x', dependsOnId: 'y' },
+      { taskId: 'y', dependsOnId: 'x' }
+    ];
+
+    const ordered = topologicalOrder(tasks, edges);
+    expect(ids(ordered)).toEqual(['free', 'x', 'y']);
+    expect(ordered).toHaveLength(tasks.length);
+  });
+
+  it('appends tasks blocked by a cycle along with the cycle', () => {
+    const tasks = [task('x'), task('y'), task('after', { dueDate: '2025-01-01' })];
+    const edges = [
+      { taskId: 'x', dependsOnId: 'y' },
+      { taskId: 'y', dependsOnId: 'x' },
+      { taskId: 'after', dependsOnId: 'x' }
+    ];
+
+    expect(ids(topologicalOrder(tasks, edges))).toEqual(['after', 'x', 'y']);
+  });
+
+  it('takes a custom tie-break', () => {
+    const tasks = [task('b'), task('a'), task('c')];
+    const byId = (first, second) => first.id.localeCompare(second.id);
+
+    expect(ids(topologicalOrder(tasks, [{ taskId: 'a', dependsOnId: 'c' }], byId))).toEqual(['b', 'c', 'a']);
+  });
+});
\ No newline at end of file
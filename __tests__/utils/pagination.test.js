@@ -0,0 +1,93 @@
+const {
+  parseList,
+  decodeCursor,
+  validateCursor,
+  cursorMatchesKeys,
+  keysetConditionSql,
+  cursorKeySql,
+  paginate
+} = require('../../utils/pagination');
+
+const ID = '3f2b8c1e-5d4a-4b6f-9e7d-1a2b3c4d5e6f';
+
+const SESSION_KEYS = [
+  { column: 's.session_date', type: 'date' },
+  { column: 's.start_time', type: 'time' },
+  { column: 's.created_at', type: 'timestamptz' },
+  { column: 's.duration', type: 'int' },
+  { column: 's.id', type: 'uuid' }
+];
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('cursors', () => {
+  it('round-trip through paginate and decodeCursor', () => {
+    const rows = [
+      { id: 'a', cursor_key: ['2025-01-13', 'a'] },
+      { id: 'b', cursor_key: ['2025-01-14', 'b'] },
+      { id: 'c', cursor_key: ['2025-01-15', 'c'] }
+    ];
+
+    const { page, pagination } = paginate(rows, { limit: 2, sort: 'due_date', order: 'ASC', total: 3 });
+
+    expect(page.map(row => row.id)).toEqual(['a', 'b']);
+    expect(pagination).toMatchObject({ limit: 2, total: 3, hasMore: true });
+    expect(decodeCursor(pagination.next)).toEqual({ sort: 'due_date', order: 'ASC', after: ['2025-01-14', 'b'] });
+  });
+
+  it('end on the last page', () => {
+    const { pagination } = paginate([{ cursor_key: ['x'] }], { limit: 2, sort: 'title', order: 'ASC', total: 1 });
+    expect(pagination).toMatchObject({ hasMore: false, next: null });
+  });
+
+  it('reject malformed values', () => {
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(encode({ sort: 'title', order: 'ASC', after: [1] }))).toBeNull();
+    expect(decodeCursor(encode({ sort: 'title', after: ['x'] }))).toBeNull();
+    expect(() => validateCursor('not a cursor')).toThrow('Invalid cursor');
+    expect(validateCursor(encode({ sort: 'title', order: 'ASC', after: ['x'] }))).toBe(true);
+  });
+});
+
+describe('cursorMatchesKeys', () => {
+  it('accepts values in the text form Postgres gives the key types', () => {
+    expect(cursorMatchesKeys(['2025-01-13', '09:30:00', '2025-01-13 09:30:00.123456+00', '45', ID], SESSION_KEYS)).toBe(true);
+    expect(cursorMatchesKeys(['anything at all', ID], [{ column: 't.title', type: 'varchar' }, { column: 't.id', type: 'uuid' }])).toBe(true);
+  });
+
+  it('rejects values of the wrong number', () => {
+    expect(cursorMatchesKeys(['2025-01-13', ID], SESSION_KEYS)).toBe(false);
+  });
+
+  it.each([
+    ['date', ['2025-02-30', '09:30:00', '2025-01-13 09:30:00+00', '45', ID]],
+    ['date', ['yesterday', '09:30:00', '2025-01-13 09:30:00+00', '45', ID]],
+    ['time', ['2025-01-13', '25:00:00', '2025-01-13 09:30:00+00', '45', ID]],
+    ['timestamptz', ['2025-01-13', '09:30:00', '2025-13-01 09:30:00+00', '45', ID]],
+    ['timestamptz', ['2025-01-13', '09:30:00', 'now', '45', ID]],
+    ['int', ['2025-01-13', '09:30:00', '2025-01-13 09:30:00+00', '4.5', ID]],
+    ['int', ['2025-01-13', '09:30:00', '2025-01-13 09:30:00+00', '9999999999', ID]],
+    ['uuid', ['2025-01-13', '09:30:00', '2025-01-13 09:30:00+00', '45', 'not-a-uuid']]
+  ])('rejects a tampered %s value', (type, values) => {
+    expect(cursorMatchesKeys(values, SESSION_KEYS)).toBe(false);
+  });
+});
+
+describe('keyset SQL', () => {
+  const keys = [{ column: 't.due_date', type: 'date' }, { column: 't.id', type: 'uuid' }];
+
+  it('compares the sort keys as a row in the sort direction', () => {
+    expect(keysetConditionSql(keys, 3, 'ASC')).toBe('(t.due_date, t.id) > ($3::date, $4::uuid)');
+    expect(keysetConditionSql(keys, 1, 'DESC')).toBe('(t.due_date, t.id) < ($1::date, $2::uuid)');
+  });
+
+  it('selects the key values as text', () => {
+    expect(cursorKeySql(keys)).toBe('ARRAY[t.due_date::text, t.id::text] as cursor_key');
+  });
+});
+
+describe('parseList', () => {
+  it('splits, trims and removes duplicates and empty items', () => {
+    expect(parseList('high, low,,high ')).toEqual(['high', 'low']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+const { MAX_LIVE_SESSION_HOURS, advanceTimeline, sumMinutes } = require('../../utils/pomodoro');
+
+const START = new Date('2025-01-13T09:00:00Z');
+const at = (minutes) => new Date(START.getTime() + minutes * 60 * 1000);
+
+const SESSION = {
+  started_at: START,
+  work_minutes: 25,
+  short_break_minutes: 5,
+  long_break_minutes: 15,
+  long_break_every: 2
+};
+
+const interval = (phase, cycle, start, end = null) => ({
+  phase,
+  cycle,
+  started_at: at(start),
+  ended_at: end === null ? null : at(end)
+});
+
+const phases = (timeline) => timeline.map(({ phase, cycle }) => `${phase} ${cycle}`);
+
+describe('advanceTimeline', () => {
+  it('leaves a phase that is still running alone', () => {
+    const intervals = [interval('work', 1, 0)];
+
+    expect(advanceTimeline(SESSION, intervals, at(10))).toEqual({
+      timeline: intervals,
+      closed: null,
+      added: []
+    });
+  });
+
+  it('moves on to a break once the work phase has run its length', () => {
+    const { timeline, closed, added } = advanceTimeline(SESSION, [interval('work', 1, 0)], at(27));
+
+    expect(closed).toEqual(interval('work', 1, 0, 25));
+    expect(added).toEqual([interval('short_break', 1, 25)]);
+    expect(timeline).toEqual([closed, ...added]);
+  });
+
+  it('takes a long break after every long_break_every-th work phase', () => {
+    const { timeline, added } = advanceTimeline(SESSION, [interval('work', 1, 0)], at(97));
+
+    expect(phases(timeline)).toEqual([
+      'work 1', 'short_break 1', 'work 2', 'long_break 2', 'work 3', 'short_break 3'
+    ]);
+    expect(timeline.map(entry => entry.started_at)).toEqual([at(0), at(25), at(30), at(55), at(70), at(95)]);
+    expect(added).toHaveLength(5);
+    expect(timeline[timeline.length - 1].ended_at).toBeNull();
+  });
+
+  it('counts time spent before a pause towards the phase', () => {
+    const intervals = [interval('work', 1, 0, 10), interval('work', 1, 20)];
+
+    expect(advanceTimeline(SESSION, intervals, at(34)).added).toEqual([]);
+
+    const { closed, added } = advanceTimeline(SESSION, intervals, at(36));
+    expect(closed).toEqual(interval('work', 1, 20, 35));
+    expect(added).toEqual([interval('short_break', 1, 35)]);
+  });
+
+  it('does not advance a paused session', () => {
+    const intervals = [interval('work', 1, 0, 10)];
+
+    expect(advanceTimeline(SESSION, intervals, at(600))).toEqual({
+      timeline: intervals,
+      closed: null,
+      added: []
+    });
+  });
+
+  it(`pauses a session left running for ${MAX_LIVE_SESSION_HOURS} hours`, () => {
+    const deadline = at(MAX_LIVE_SESSION_HOURS * 60);
+    const { timeline } = advanceTimeline(SESSION, [interval('work', 1, 0)], at(MAX_LIVE_SESSION_HOURS * 60 + 90));
+    const last = timeline[timeline.length - 1];
+
+    expect(timeline.every(entry => entry.ended_at !== null)).toBe(true);
+    expect(last.ended_at).toEqual(deadline);
+    expect(last.started_at.getTime()).toBeLessThan(deadline.getTime());
+  });
+
+  it('pauses at the cap even in the middle of a phase', () => {
+    const longWork = { ...SESSION, work_minutes: 24 * 60 };
+    const { closed, added } = advanceTimeline(longWork, [interval('work', 1, 0)], at(MAX_LIVE_SESSION_HOURS * 60 + 1));
+
+    expect(closed).toEqual(interval('work', 1, 0, MAX_LIVE_SESSION_HOURS * 60));
+    expect(added).toEqual([]);
+  });
+
+  it('does not change the intervals it is given', () => {
+    const intervals = [interval('work', 1, 0)];
+    advanceTimeline(SESSION, intervals, at(97));
+
+    expect(intervals).toEqual([interval('work', 1, 0)]);
+  });
+});
+
+describe('sumMinutes', () => {
+  it('adds up work and break time, counting a running interval up to now', () => {
+    const intervals = [interval('work', 1, 0, 25), interval('short_break', 1, 25, 30), interval('work', 2, 30)];
+
+    expect(sumMinutes(intervals, at(40))).toEqual({ workMinutes: 35, breakMinutes: 5 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,148 @@
+const { MAX_ESTIMATED_MINUTES, parseQuickAdd, matchSubject } = require('../../utils/quickAdd');
+
+// A Monday
+const TODAY = '2025-01-13';
+
+const SUBJECTS = [
+  { id: 'physics', name: 'Physics' },
+  { id: 'cs', name: 'Computer Science' },
+  { id: 'linalg', name: 'Linear Algebra' }
+];
+
+const parse = (text) => parseQuickAdd(text, { today: TODAY, subjects: SUBJECTS });
+
+describe('parseQuickAdd', () => {
+  it('parses every part of a full entry', () => {
+    expect(parse('Read physics ch 7 tomorrow 4pm !high ~45m #Physics')).toEqual({
+      title: 'Read physics ch 7',
+      dueDate: '2025-01-14',
+      dueTime: '16:00',
+      priority: 'high',
+      estimatedTime: 45,
+      subject: { id: 'physics', name: 'Physics' },
+      subjectTerm: 'Physics',
+      warnings: []
+    });
+  });
+
+  it('returns null for parts that were not given', () => {
+    expect(parse('Revise notes')).toEqual({
+      title: 'Revise notes',
+      dueDate: null,
+      dueTime: null,
+      priority: null,
+      estimatedTime: null,
+      subject: null,
+      subjectTerm: null,
+      warnings: []
+    });
+  });
+
+  describe('dates', () => {
+    it.each([
+      ['Essay today', '2025-01-13'],
+      ['Essay due tmrw', '2025-01-14'],
+      ['Essay in 3 days', '2025-01-16'],
+      ['Essay in 2 weeks', '2025-01-27'],
+      ['Essay on 2025-03-01', '2025-03-01'],
+      ['Essay by oct 20', '2025-10-20'],
+      ['Essay 31st jan', '2025-01-31'],
+      ['Essay jan 10', '2026-01-10']
+    ])('reads "%s" as %s', (text, dueDate) => {
+      const parsed = parse(text);
+      expect(parsed.dueDate).toBe(dueDate);
+      expect(parsed.title).toBe('Essay');
+    });
+
+    it('resolves weekdays counting today, with "next" a week later', () => {
+      expect(parse('Lab report mon').dueDate).toBe('2025-01-13');
+      expect(parse('Lab report friday').dueDate).toBe('2025-01-17');
+      expect(parse('Lab report next fri').dueDate).toBe('2025-01-24');
+      expect(parse('Lab report by next fri').dueDate).toBe('2025-01-24');
+    });
+
+    it('reads weekdays only after on/by/due/next or at the end of the line', () => {
+      expect(parse('SAT practice test')).toMatchObject({ title: 'SAT practice test', dueDate: null });
+      expect(parse('Wed lecture notes')).toMatchObject({ title: 'Wed lecture notes', dueDate: null });
+      expect(parse('Essay on wed 4pm')).toMatchObject({ title: 'Essay', dueDate: '2025-01-15', dueTime: '16:00' });
+    });
+
+    it('keeps impossible dates in the title with a warning', () => {
+      expect(parse('Quiz 2025-02-30')).toMatchObject({
+        title: 'Quiz 2025-02-30',
+        dueDate: null,
+        warnings: ['"2025-02-30" is not a valid date']
+      });
+      expect(parse('Quiz on 2028-02-29').dueDate).toBe('2028-02-29');
+      expect(parse('Quiz feb 30')).toMatchObject({ title: 'Quiz feb 30', dueDate: null });
+    });
+  });
+
+  describe('times', () => {
+    it.each([
+      ['Call at 4:30pm', '16:30'],
+      ['Call 12am', '00:00'],
+      ['Call @9am', '09:00'],
+      ['Call 16:05', '16:05'],
+      ['Call at noon', '12:00']
+    ])('reads "%s" as %s', (text, dueTime) => {
+      expect(parse(text)).toMatchObject({ title: 'Call', dueTime });
+    });
+
+    it('ignores hours outside the clock', () => {
+      expect(parse('Call 13pm')).toMatchObject({ title: 'Call 13pm', dueTime: null });
+    });
+  });
+
+  describe('estimates', () => {
+    it.each([
+      ['~90', 90],
+      ['~1h', 60],
+      ['~1h30m', 90],
+      ['~1.5h', 90],
+      ['~45min', 45]
+    ])('reads %s as %i minutes', (estimate, minutes) => {
+      expect(parse(`Practice ${estimate}`)).toMatchObject({ title: 'Practice', estimatedTime: minutes });
+    });
+
+    it('caps long estimates with a warning', () => {
+      expect(parse('Thesis ~500h')).toMatchObject({
+        title: 'Thesis',
+        estimatedTime: MAX_ESTIMATED_MINUTES,
+        warnings: ['Estimated time was capped at 100 hours']
+      });
+    });
+
+    it('rejects estimates under a minute', () => {
+      expect(parse('Practice ~0m')).toMatchObject({
+        estimatedTime: null,
+        warnings: ['Estimated time must be at least one minute']
+      });
+    });
+  });
+
+  it('reads priority shorthands', () => {
+    expect(parse('Flashcards !l').priority).toBe('low');
+    expect(parse('Flashcards !med').priority).toBe('medium');
+  });
+
+  it('warns about unknown subjects', () => {
+    expect(parse('Titration #Chemistry')).toMatchObject({
+      title: 'Titration',
+      subject: null,
+      subjectTerm: 'Chemistry',
+      warnings: ['No subject matches "Chemistry"']
+    });
+  });
+});
+
+describe('matchSubject', () => {
+  it('matches exact names, initials, prefixes and close spellings', () => {
+    expect(matchSubject('physics', SUBJECTS).id).toBe('physics');
+    expect(matchSubject('cs', SUBJECTS).id).toBe('cs');
+    expect(matchSubject('Linear Algebra', SUBJECTS).id).toBe('linalg');
+    expect(matchSubject('lin', SUBJECTS).id).toBe('linalg');
+    expect(matchSubject('physcs', SUBJECTS).id).toBe('physics');
+    expect(matchSubject('history', SUBJECTS)).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,106 @@
+const {
+  normalizeRule,
+  toRRuleString,
+  expandOccurrences,
+  isOccurrence,
+  countOccurrencesBefore,
+  shiftDate
+} = require('../../utils/recurrence');
+
+// 2025-01-01 is a Wednesday, 2025-01-06 a Monday
+const rule = (fields) => normalizeRule(fields);
+
+describe('normalizeRule', () => {
+  it('parses RRULE strings', () => {
+    expect(normalizeRule('RRULE:FREQ=WEEKLY;BYDAY=WE,MO;COUNT=10')).toEqual({
+      freq: 'weekly', interval: 1, byWeekday: [1, 3], count: 10, until: null
+    });
+    expect(normalizeRule('FREQ=MONTHLY;INTERVAL=2;UNTIL=20251231')).toEqual({
+      freq: 'monthly', interval: 2, byWeekday: null, count: null, until: '2025-12-31'
+    });
+  });
+
+  it('renders rules back as RRULE strings', () => {
+    expect(toRRuleString(normalizeRule('FREQ=WEEKLY;BYDAY=WE,MO;COUNT=10'))).toBe('FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE;COUNT=10');
+  });
+
+  it('rejects invalid rules', () => {
+    expect(() => normalizeRule({ freq: 'yearly' })).toThrow('frequency');
+    expect(() => normalizeRule({ freq: 'daily', interval: 0 })).toThrow('interval');
+    expect(() => normalizeRule({ freq: 'daily', byWeekday: [1] })).toThrow('weekly');
+    expect(() => normalizeRule({ freq: 'daily', count: 3, until: '2025-02-01' })).toThrow('not both');
+    expect(() => normalizeRule('FREQ=DAILY;BYMONTH=1')).toThrow('Unsupported');
+  });
+});
+
+describe('expandOccurrences', () => {
+  it('expands daily series by interval', () => {
+    expect(expandOccurrences(rule({ freq: 'daily', interval: 2 }), '2025-01-01', '2025-01-01', '2025-01-07'))
+      .toEqual(['2025-01-01', '2025-01-03', '2025-01-05', '2025-01-07']);
+  });
+
+  it('expands weekly series on the given weekdays, never before the start', () => {
+    expect(expandOccurrences(rule({ freq: 'weekly', byWeekday: [1, 3] }), '2025-01-01', '2024-12-01', '2025-01-15'))
+      .toEqual(['2025-01-01', '2025-01-06', '2025-01-08', '2025-01-13', '2025-01-15']);
+  });
+
+  it('skips weeks by interval', () => {
+    expect(expandOccurrences(rule({ freq: 'weekly', interval: 2 }), '2025-01-06', '2025-01-01', '2025-02-03'))
+      .toEqual(['2025-01-06', '2025-01-20', '2025-02-03']);
+  });
+
+  it('skips months without the day of the series start', () => {
+    expect(expandOccurrences(rule({ freq: 'monthly' }), '2025-01-31', '2025-01-01', '2025-06-30'))
+      .toEqual(['2025-01-31', '2025-03-31', '2025-05-31']);
+  });
+
+  it('stops at the count or end date', () => {
+    expect(expandOccurrences(rule({ freq: 'daily', count: 3 }), '2025-01-01', '2025-01-01', '2025-01-31'))
+      .toEqual(['2025-01-01', '2025-01-02', '2025-01-03']);
+    expect(expandOccurrences(rule({ freq: 'weekly', byWeekday: [1, 3], count: 4 }), '2025-01-06', '2025-01-01', '2025-03-01'))
+      .toEqual(['2025-01-06', '2025-01-08', '2025-01-13', '2025-01-15']);
+    expect(expandOccurrences(rule({ freq: 'daily', until: '2025-01-03' }), '2025-01-01', '2025-01-01', '2025-01-31'))
+      .toEqual(['2025-01-01', '2025-01-02', '2025-01-03']);
+  });
+
+  it('counts occurrences before the range towards the count', () => {
+    expect(expandOccurrences(rule({ freq: 'daily', count: 5 }), '2025-01-01', '2025-01-04', '2025-01-31'))
+      .toEqual(['2025-01-04', '2025-01-05']);
+  });
+
+  it('tells whether a date is an occurrence', () => {
+    const weekly = rule({ freq: 'weekly', byWeekday: [1, 3] });
+    expect(isOccurrence(weekly, '2025-01-06', '2025-01-08')).toBe(true);
+    expect(isOccurrence(weekly, '2025-01-06', '2025-01-09')).toBe(false);
+    expect(isOccurrence(weekly, '2025-01-06', '2025-01-01')).toBe(false);
+  });
+});
+
+describe('splitting a series', () => {
+  it('counts the occurrences before the split date', () => {
+    const weekly = rule({ freq: 'weekly', byWeekday: [1, 3], count: 10 });
+    expect(countOccurrencesBefore(weekly, '2025-01-06', '2025-01-13')).toBe(2);
+    expect(countOccurrencesBefore(weekly, '2025-01-06', '2025-01-14')).toBe(3);
+    expect(countOccurrencesBefore(weekly, '2025-01-06', '2025-01-06')).toBe(0);
+  });
+
+  it('keeps the occurrences when a counted series is split in two', () => {
+    const series = rule({ freq: 'daily', interval: 2, count: 6 });
+    const all = expandOccurrences(series, '2025-01-01', '2025-01-01', '2025-12-31');
+
+    const before = countOccurrencesBefore(series, '2025-01-01', '2025-01-07');
+    const head = expandOccurrences({ ...series, count: before }, '2025-01-01', '2025-01-01', '2025-12-31');
+    const tail = expandOccurrences({ ...series, count: series.count - before }, '2025-01-07', '2025-01-01', '2025-12-31');
+
+    expect(before).toBe(3);
+    expect([...head, ...tail]).toEqual(all);
+  });
+});
+
+describe('shiftDate', () => {
+  it('shifts calendar dates across months, leap days and DST changes', () => {
+    expect(shiftDate('2024-02-28', 1)).toBe('2024-02-29');
+    expect(shiftDate('2025-03-30', 1)).toBe('2025-03-31');
+    expect(shiftDate('2025-01-01', -1)).toBe('2024-12-31');
+  });
+});
\ No newline at end of file
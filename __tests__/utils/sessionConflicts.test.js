@@ -0,0 +1,138 @@
+const { findSessionConflicts, findConflictPairs } = require('../../utils/sessionConflicts');
+
+// Stand-in for the `db` parameter: answers the queries in order and records them
+const fakeDb = (...results) => {
+  const calls = [];
+  return {
+    calls,
+    query: async (text, values) => {
+      calls.push({ text, values });
+      return { rows: results[calls.length - 1] || [] };
+    }
+  };
+};
+
+const subject = (prefix = '') => ({
+  [`${prefix}subject_id`]: 'physics',
+  [`${prefix}subject_name`]: 'Physics',
+  [`${prefix}subject_color`]: '#3b82f6'
+});
+
+const sessionRow = {
+  id: 'session-1',
+  session_date: '2025-01-13',
+  start_time: '09:30:00',
+  duration: 60,
+  overlap_minutes: 30,
+  ...subject()
+};
+
+const taskRow = {
+  id: 'task-1',
+  title: 'Lab report',
+  due_date: '2025-01-13',
+  due_time: '10:00:00',
+  estimated_time: 45,
+  overlap_minutes: 15,
+  ...subject()
+};
+
+const candidate = { sessionDate: '2025-01-13', startTime: '10:00', duration: 30 };
+
+describe('findSessionConflicts', () => {
+  it('returns overlapping sessions shaped for the API', async () => {
+    const db = fakeDb([sessionRow]);
+
+    expect(await findSessionConflicts('user-1', candidate, db)).toEqual([{
+      type: 'session',
+      id: 'session-1',
+      subject: { id: 'physics', name: 'Physics', color: '#3b82f6' },
+      sessionDate: '2025-01-13',
+      startTime: '09:30:00',
+      duration: 60,
+      overlapMinutes: 30
+    }]);
+    expect(db.calls).toHaveLength(1);
+    expect(db.calls[0].values).toEqual(['user-1', '2025-01-13', '10:00', 30, null]);
+  });
+
+  it('leaves out the session being edited', async () => {
+    const db = fakeDb([]);
+
+    await findSessionConflicts('user-1', { ...candidate, excludeId: 'session-2' }, db);
+
+    expect(db.calls[0].values[4]).toBe('session-2');
+    expect(db.calls[0].text).toContain('s.id <> $5');
+  });
+
+  it('checks timed tasks only when asked, after the sessions', async () => {
+    const db = fakeDb([sessionRow], [taskRow]);
+
+    const conflicts = await findSessionConflicts('user-1', { ...candidate, includeTasks: true }, db);
+
+    expect(conflicts.map(conflict => conflict.type)).toEqual(['session', 'task']);
+    expect(conflicts[1]).toEqual({
+      type: 'task',
+      id: 'task-1',
+      title: 'Lab report',
+      subject: { id: 'physics', name: 'Physics', color: '#3b82f6' },
+      dueDate: '2025-01-13',
+      dueTime: '10:00:00',
+      estimatedTime: 45,
+      overlapMinutes: 15
+    });
+    expect(db.calls[1].text).toContain('t.recurrence IS NULL');
+    expect(db.calls[1].values).toEqual(['user-1', '2025-01-13', '10:00', 30]);
+  });
+
+  it('compares sessions as timestamps so they can run past midnight', async () => {
+    const db = fakeDb([]);
+
+    await findSessionConflicts('user-1', { sessionDate: '2025-01-13', startTime: '23:30', duration: 90 }, db);
+
+    expect(db.calls[0].text).toContain("($2::date + $3::time + $4::int * INTERVAL '1 minute')");
+    expect(db.calls[0].text).toContain('(s.session_date + s.start_time)');
+  });
+});
+
+describe('findConflictPairs', () => {
+  const firstSession = (id, start) => ({
+    first_id: id,
+    first_session_date: '2025-01-13',
+    first_start_time: '09:00:00',
+    first_duration: 60,
+    ...subject('first_'),
+    sort_start: start
+  });
+
+  it('pairs each session with what it overlaps, earliest first', async () => {
+    const db = fakeDb(
+      [{ ...firstSession('late', new Date('2025-01-13T11:00:00Z')), ...sessionRow }],
+      [{ ...firstSession('early', new Date('2025-01-13T09:00:00Z')), ...taskRow }]
+    );
+
+    const pairs = await findConflictPairs('user-1', { startDate: '2025-01-01', includeTasks: true }, db);
+
+    expect(pairs.map(pair => [pair.session.id, pair.conflictsWith.type])).toEqual([
+      ['early', 'task'],
+      ['late', 'session']
+    ]);
+    expect(pairs[0].session).toEqual({
+      id: 'early',
+      subject: { id: 'physics', name: 'Physics', color: '#3b82f6' },
+      sessionDate: '2025-01-13',
+      startTime: '09:00:00',
+      duration: 60
+    });
+    expect(db.calls[0].values).toEqual(['user-1', '2025-01-01', null]);
+  });
+
+  it('reports each overlapping pair of sessions once', async () => {
+    const db = fakeDb([]);
+
+    await findConflictPairs('user-1', {}, db);
+
+    expect(db.calls).toHaveLength(1);
+    expect(db.calls[0].text).toContain('(a.session_date + a.start_time), a.id) < ((s.session_date + s.start_time), s.id)');
+  });
+});
\ No newline at end of file
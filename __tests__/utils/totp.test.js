@@ -0,0 +1,64 @@
+const { generateSecret, generateCode, verifyCode, buildOtpauthUri } = require('../../utils/totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 SHA-1 vectors (unix time, 8-digit TOTP); 6-digit codes are the last
+// six digits
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe('generateCode', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 vector at %i', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, stepAt(seconds))).toBe(code.slice(-6));
+  });
+});
+
+describe('verifyCode', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts codes within one step of the current time and returns their step', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+    const step = stepAt(1111111111);
+
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  it('ignores whitespace and rejects malformed codes', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+
+    expect(verifyCode(RFC_SECRET, '050 471')).toBe(stepAt(1111111111));
+    expect(verifyCode(RFC_SECRET, '50471')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  it('generates 160-bit base32 secrets that produce codes', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(verifyCode(secret, generateCode(secret))).not.toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds a provisioning URI with the issuer and account', () => {
+    expect(buildOtpauthUri(RFC_SECRET, 'ada@example.com', 'StudyFlow')).toBe(
+      `otpauth://totp/StudyFlow%3Aada%40example.com?secret=${RFC_SECRET}&issuer=StudyFlow&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
\ No newline at end of file
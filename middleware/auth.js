@@ -1,7 +1,112 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { hashToken, PAT_PREFIX } = require('../utils/tokens');
 
-const authenticateToken = async (req, res, next) => {
+const VERIFICATION_GRACE_DAYS = parseInt(process.env.EMAIL_VERIFICATION_GRACE_DAYS) || 7;
+
+// Scopes a personal access token can carry. Reads of any API resource need
+// `read`; writes need the scope of the resource's router. Routers missing
+// from this map (account, MFA and token management) only accept login JWTs.
+const PAT_WRITE_SCOPES = {
+  '/api/tasks': 'tasks:write',
+  '/api/sessions': 'sessions:write',
+  '/api/subjects': 'subjects:write',
+  '/api/tags': 'tags:write',
+  '/api/trash': 'trash:write',
+  '/api/attachments': 'attachments:write',
+  '/api/preferences': 'preferences:write',
+  '/api/progress': null,
+  '/api/activity': null,
+  '/api/search': null
+};
+const PAT_SCOPES = ['read', ...new Set(Object.values(PAT_WRITE_SCOPES).filter(Boolean))];
+
+// Scope a personal access token needs for this request, or null if the
+// route cannot be used with personal access tokens at all
+const scopeForRequest = (req) => {
+  if (!(req.baseUrl in PAT_WRITE_SCOPES)) {
+    return null;
+  }
+  if (['GET', 'HEAD'].includes(req.method)) {
+    return 'read';
+  }
+  return PAT_WRITE_SCOPES[req.baseUrl];
+};
+
+const USER_COLUMNS = `
+  u.id, u.email, u.first_name, u.last_name, u.token_version,
+  u.email_verified_at IS NOT NULL as email_verified,
+  u.created_at < CURRENT_TIMESTAMP - INTERVAL '1 day' * $2 as verification_grace_expired
+`;
+
+// Resolve a personal access token to its user, checking scope and expiry.
+// Returns { user, auth } or { status, message } on failure.
+const resolvePersonalAccessToken = async (req, token) => {
+  const result = await query(`
+    SELECT ${USER_COLUMNS}, pat.id as token_id, pat.scopes
+    FROM personal_access_tokens pat
+    JOIN users u ON pat.user_id = u.id
+    WHERE pat.token_hash = $1
+      AND pat.revoked_at IS NULL
+      AND (pat.expires_at IS NULL OR pat.expires_at > CURRENT_TIMESTAMP)
+  `, [hashToken(token), VERIFICATION_GRACE_DAYS]);
+
+  if (result.rows.length === 0) {
+    return { status: 401, message: 'Invalid token' };
+  }
+
+  const { token_id: tokenId, scopes, ...user } = result.rows[0];
+
+  const requiredScope = scopeForRequest(req);
+  if (!requiredScope || !scopes.includes(requiredScope)) {
+    return {
+      status: 403,
+      message: requiredScope
+        ? `Personal access token is missing the ${requiredScope} scope`
+        : 'Personal access tokens cannot be used for this endpoint'
+    };
+  }
+
+  // Track usage, at most once a minute per token to avoid a write per request
+  await query(`
+    UPDATE personal_access_tokens SET last_used_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')
+  `, [tokenId]);
+
+  return { user, auth: { type: 'pat', tokenId, scopes } };
+};
+
+// Resolve a login JWT to its user. Returns { user, auth } or { status, message }.
+const resolveJwt = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Special-purpose tokens (e.g. MFA pending) are not access tokens
+  if (decoded.purpose) {
+    return { status: 401, message: 'Invalid token' };
+  }
+
+  // Verify user still exists in database
+  const userResult = await query(`
+    SELECT ${USER_COLUMNS}
+    FROM users u WHERE u.id = $1
+  `, [decoded.userId, VERIFICATION_GRACE_DAYS]);
+
+  if (userResult.rows.length === 0) {
+    return { status: 401, message: 'User not found' };
+  }
+
+  // Reject tokens issued before the user logged out of all devices
+  if ((decoded.tokenVersion || 0) !== userResult.rows[0].token_version) {
+    return { status: 401, message: 'Token revoked' };
+  }
+
+  return { user: userResult.rows[0], auth: { type: 'jwt' } };
+};
+
+// Build the authentication middleware. Unverified accounts are rejected once
+// their grace period is over, unless allowUnverified is set (used by the
+// account routes an unverified user still needs, such as resending the email).
+const authenticate = ({ allowUnverified = false } = {}) => async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -10,19 +115,24 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const resolved = token.startsWith(PAT_PREFIX)
+      ? await resolvePersonalAccessToken(req, token)
+      : await resolveJwt(token);
 
-    // Verify user still exists in database
-    const userResult = await query(
-      'SELECT id, email, first_name, last_name FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    if (!resolved.user) {
+      return res.status(resolved.status).json({ message: resolved.message });
+    }
 
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ message: 'User not found' });
+    const { user, auth } = resolved;
+    if (!allowUnverified && !user.email_verified && user.verification_grace_expired) {
+      return res.status(403).json({
+        message: 'Email verification required',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
     }
 
-    req.user = userResult.rows[0];
+    req.user = user;
+    req.auth = auth;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -36,4 +146,7 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+const authenticateToken = authenticate();
+const authenticateTokenAllowUnverified = authenticate({ allowUnverified: true });
+
+module.exports = { authenticateToken, authenticateTokenAllowUnverified, PAT_SCOPES };
\ No newline at end of file
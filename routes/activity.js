@@ -0,0 +1,118 @@
+const express = require('express');
+const { query: queryValidator, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { HISTORY_ACTIONS, formatHistoryEntry } = require('../utils/history');
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseList,
+  listOf,
+  decodeCursor,
+  validateCursor,
+  cursorMatchesKeys,
+  keysetConditionSql,
+  cursorKeySql,
+  paginate
+} = require('../utils/pagination');
+
+const router = express.Router();
+
+// The feed is always newest first
+const FEED_KEYS = [
+  { column: 'h.created_at', type: 'timestamptz' },
+  { column: 'h.id', type: 'uuid' }
+];
+
+// Activity feed of the user: the change log of all their tasks, including
+// tasks that were deleted since. Pages are requested with `limit` and the
+// `pagination.next` cursor of the previous page.
+router.get('/', [
+  authenticateToken,
+  queryValidator('action').optional().custom(listOf(action => HISTORY_ACTIONS.includes(action), `Action must be a comma-separated list of: ${HISTORY_ACTIONS.join(', ')}`)),
+  queryValidator('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  queryValidator('end_date').optional().isISO8601().withMessage('Valid end date required'),
+  queryValidator('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+  queryValidator('cursor').optional().custom(validateCursor)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, start_date, end_date, cursor } = req.query;
+    const limit = parseInt(req.query.limit) || DEFAULT_LIMIT;
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (after && (after.sort !== 'created_at' || after.order !== 'DESC' || !cursorMatchesKeys(after.after, FEED_KEYS))) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    // Build query conditions
+    const conditions = ['h.user_id = $1'];
+    const values = [req.user.id];
+    let paramCount = 2;
+
+    const actions = action ? parseList(action) : [];
+    if (actions.length > 0) {
+      conditions.push(`h.action = ANY($${paramCount++})`);
+      values.push(actions);
+    }
+
+    if (start_date) {
+      conditions.push(`h.created_at >= $${paramCount++}`);
+      values.push(start_date);
+    }
+
+    if (end_date) {
+      conditions.push(`h.created_at < $${paramCount++}::date + 1`);
+      values.push(end_date);
+    }
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total
+      FROM task_history h
+      WHERE ${conditions.join(' AND ')}
+    `, values);
+
+    if (after) {
+      conditions.push(keysetConditionSql(FEED_KEYS, paramCount, 'DESC'));
+      values.push(...after.after);
+      paramCount += FEED_KEYS.length;
+    }
+
+    values.push(limit + 1);
+
+    const result = await query(`
+      SELECT h.*, pat.name as token_name, ${cursorKeySql(FEED_KEYS)}
+      FROM task_history h
+      LEFT JOIN personal_access_tokens pat ON h.token_id = pat.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY h.created_at DESC, h.id DESC
+      LIMIT $${paramCount++}
+    `, values);
+
+    const { page, pagination } = paginate(result.rows, {
+      limit,
+      sort: 'created_at',
+      order: 'DESC',
+      total: parseInt(countResult.rows[0].total)
+    });
+
+    res.json({
+      activity: page.map(formatHistoryEntry),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get activity error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { param, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { getStorage } = require('../utils/storage');
+const {
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_QUOTA_BYTES,
+  ALLOWED_MIME_TYPES,
+  ATTACHMENT_LINKS,
+  matchesMimeType,
+  getStorageUsage
+} = require('../utils/attachments');
+
+const router = express.Router();
+
+// Items files can be attached to, keyed by the name used in upload URLs
+const PARENT_TYPES = {
+  tasks: { kind: 'task', table: 'tasks', label: 'Task' },
+  sessions: { kind: 'session', table: 'study_sessions', label: 'Study session' }
+};
+const TYPE_NAMES = Object.keys(PARENT_TYPES);
+
+// Files are buffered in memory (bounded by the size limit) and handed to the
+// storage driver once the upload has been validated
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }
+}).single('file');
+
+// Run the multipart parser, turning its errors into API responses
+const parseUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          message: `File is too large. Maximum size is ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB.`
+        });
+      }
+      return res.status(400).json({ message: `Invalid upload: ${error.message}` });
+    }
+    next(error);
+  });
+};
+
+const formatAttachment = (attachment) => ({
+  id: attachment.id,
+  fileName: attachment.file_name,
+  mimeType: attachment.mime_type,
+  size: attachment.size_bytes,
+  taskId: attachment.task_id,
+  sessionId: attachment.session_id,
+  createdAt: attachment.created_at
+});
+
+// Storage used by the authenticated user against their quota
+router.get('/usage', authenticateToken, async (req, res) => {
+  try {
+    const used = await getStorageUsage(req.user.id);
+
+    res.json({
+      usage: {
+        used,
+        quota: ATTACHMENT_QUOTA_BYTES,
+        remaining: Math.max(ATTACHMENT_QUOTA_BYTES - used, 0),
+        maxFileSize: MAX_ATTACHMENT_BYTES,
+        allowedTypes: ALLOWED_MIME_TYPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attachment usage error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Upload a file (multipart field "file") to a task or study session
+router.post('/:type/:id', [
+  authenticateToken,
+  param('type').isIn(TYPE_NAMES).withMessage(`Type must be one of: ${TYPE_NAMES.join(', ')}`),
+  param('id').isUUID().withMessage('Invalid ID'),
+  parseUpload
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, id } = req.params;
+    const { kind, table, label } = PARENT_TYPES[type];
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({ message: 'A file is required (multipart field "file")' });
+    }
+
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return res.status(415).json({
+        message: `Unsupported file type. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}`
+      });
+    }
+
+    if (!matchesMimeType(file.mimetype, file.buffer)) {
+      return res.status(415).json({ message: `File content does not match its type (${file.mimetype})` });
+    }
+
+    // Check if parent exists and belongs to user
+    const existingParent = await query(
+      `SELECT id FROM ${table} WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+      [id, req.user.id]
+    );
+
+    if (existingParent.rows.length === 0) {
+      return res.status(404).json({ message: `${label} not found` });
+    }
+
+    const storage = getStorage();
+    const storageKey = `${req.user.id}/${crypto.randomUUID()}`;
+    const fileName = file.originalname.slice(0, 255);
+    const client = await getClient();
+    let stored = false;
+
+    try {
+      await client.query('BEGIN');
+
+      // Serialize uploads of the same user so concurrent ones cannot exceed the quota
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+      const used = await getStorageUsage(req.user.id, client);
+      if (used + file.size > ATTACHMENT_QUOTA_BYTES) {
+        await client.query('ROLLBACK');
+        return res.status(413).json({
+          message: 'Storage quota exceeded. Delete some attachments first.',
+          usage: { used, quota: ATTACHMENT_QUOTA_BYTES }
+        });
+      }
+
+      await storage.save(storageKey, file.buffer);
+      stored = true;
+
+      const result = await client.query(`
+        INSERT INTO attachments (user_id, ${ATTACHMENT_LINKS[kind].column}, file_name, mime_type, size_bytes, storage_key)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, task_id, session_id, file_name, mime_type, size_bytes, created_at
+      `, [req.user.id, id, fileName, file.mimetype, file.size, storageKey]);
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'File attached successfully',
+        attachment: formatAttachment(result.rows[0])
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (stored) {
+        await storage.remove(storageKey).catch(removeError => console.error('Remove attachment file error:', removeError));
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Download an attachment
+router.get('/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid attachment ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Attachments of trashed items stay hidden until the item is restored
+    const result = await query(`
+      SELECT a.file_name, a.mime_type, a.size_bytes, a.storage_key
+      FROM attachments a
+      LEFT JOIN tasks t ON a.task_id = t.id
+      LEFT JOIN study_sessions ss ON a.session_id = ss.id
+      WHERE a.id = $1 AND a.user_id = $2
+        AND COALESCE(t.deleted_at, ss.deleted_at) IS NULL
+        AND (t.id IS NOT NULL OR ss.id IS NOT NULL)
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const attachment = result.rows[0];
+    const stream = getStorage().createReadStream(attachment.storage_key);
+
+    stream.on('error', (error) => {
+      console.error('Read attachment file error:', error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ message: 'Internal server error' });
+    });
+
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': attachment.size_bytes,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`
+    });
+
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete an attachment and its stored file
+router.delete('/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid attachment ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM attachments WHERE id = $1 AND user_id = $2 RETURNING storage_key',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    try {
+      await getStorage().remove(result.rows[0].storage_key);
+    } catch (storageError) {
+      console.error('Remove attachment file error:', storageError);
+    }
+
+    res.json({ message: 'Attachment deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,12 +1,54 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { query, getClient } = require('../config/database');
+const { authenticateToken, authenticateTokenAllowUnverified } = require('../middleware/auth');
+const { sendMail } = require('../utils/mailer');
+const { sendVerificationEmail, throttleVerificationResend } = require('../utils/verification');
+const { verifySecondFactor } = require('../utils/mfa');
+const { reserveLoginAttempt, recordLoginFailure, releaseLoginAttempt, clearLoginFailures } = require('../utils/loginThrottle');
+const { removeAttachmentFiles } = require('../utils/attachments');
+const {
+  hashToken,
+  generateOpaqueToken,
+  generateAccessToken,
+  generateMfaPendingToken,
+  verifyMfaPendingToken,
+  issueRefreshToken,
+  issueTokenPair,
+  revokeTokenFamily,
+  revokeAllUserTokens
+} = require('../utils/tokens');
 
 const router = express.Router();
 
+// Respond to a throttled login attempt
+const rejectThrottledLogin = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  if (throttle.locked) {
+    return res.status(423).json({
+      message: 'Account temporarily locked due to too many failed login attempts',
+      retryAfter: throttle.retryAfter
+    });
+  }
+  return res.status(429).json({
+    message: 'Too many failed login attempts, please wait before trying again',
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Record a failed login and build the matching response
+const rejectFailedLogin = async (res, email, message) => {
+  const failure = await recordLoginFailure(email);
+  if (failure.locked) {
+    return res.status(423).json({
+      message: 'Account temporarily locked due to too many failed login attempts',
+      lockedUntil: failure.lockedUntil
+    });
+  }
+  return res.status(401).json({ message });
+};
+
 // User registration
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -38,18 +80,22 @@ router.post('/register', [
 
     // Create user
     const result = await query(
-      'INSERT INTO users (email, password_hash, first_name, last_name) VALUES ($1, $2, $3, $4) RETURNING id, email, first_name, last_name, created_at',
+      'INSERT INTO users (email, password_hash, first_name, last_name) VALUES ($1, $2, $3, $4) RETURNING id, email, first_name, last_name, token_version, created_at',
       [email, passwordHash, firstName, lastName]
     );
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // New accounts start unverified; a failed mail delivery must not fail
+    // registration since the user can request another link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await issueTokenPair(user);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -58,9 +104,10 @@ router.post('/register', [
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
+        emailVerified: false,
         createdAt: user.created_at
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -86,14 +133,21 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Enforce per-account delays and lockout before touching the password;
+    // the attempt is counted until it succeeds
+    const throttle = await reserveLoginAttempt(email);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(res, throttle);
+    }
+
     // Find user by email
     const result = await query(
-      'SELECT id, email, password_hash, first_name, last_name FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, first_name, last_name, token_version, email_verified_at, totp_enabled_at FROM users WHERE email = $1',
       [email]
     );
 
     if (result.rows.length === 0) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return rejectFailedLogin(res, email, 'Invalid email or password');
     }
 
     const user = result.rows[0];
@@ -101,15 +155,29 @@ router.post('/login', [
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return rejectFailedLogin(res, email, 'Invalid email or password');
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Failures are only cleared once login fully succeeds; a correct password
+    // still waiting for its second factor just hands its attempt back
+    if (user.totp_enabled_at) {
+      await releaseLoginAttempt(email);
+    } else {
+      await clearLoginFailures(email);
+    }
+
+    // With two-factor enabled, hand out a short-lived pending token instead;
+    // the real tokens are issued by /login/mfa once the code is checked
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: generateMfaPendingToken(user)
+      });
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await issueTokenPair(user);
 
     res.json({
       message: 'Login successful',
@@ -117,9 +185,10 @@ router.post('/login', [
         id: user.id,
         email: user.email,
         firstName: user.first_name,
-        lastName: user.last_name
+        lastName: user.last_name,
+        emailVerified: user.email_verified_at !== null
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -128,11 +197,81 @@ router.post('/login', [
   }
 });
 
+// Complete a two-factor login with a TOTP or recovery code
+router.post('/login/mfa', [
+  body('mfaToken').isString().notEmpty().withMessage('MFA token is required'),
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { mfaToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyMfaPendingToken(mfaToken);
+    } catch (tokenError) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token' });
+    }
+
+    const result = await query(
+      'SELECT id, email, first_name, last_name, token_version, email_verified_at, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [decoded.userId]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].totp_enabled_at) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token' });
+    }
+
+    const user = result.rows[0];
+
+    // Code guessing counts against the same per-account limits as passwords
+    const throttle = await reserveLoginAttempt(user.email);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(res, throttle);
+    }
+
+    const method = await verifySecondFactor(user, code);
+    if (!method) {
+      return rejectFailedLogin(res, user.email, 'Invalid code');
+    }
+
+    await clearLoginFailures(user.email);
+
+    // Generate access and refresh tokens
+    const tokens = await issueTokenPair(user);
+
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        emailVerified: user.email_verified_at !== null
+      },
+      usedRecoveryCode: method === 'recovery',
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('MFA login error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get current user profile
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticateTokenAllowUnverified, async (req, res) => {
   try {
     const result = await query(
-      'SELECT id, email, first_name, last_name, created_at FROM users WHERE id = $1',
+      'SELECT id, email, first_name, last_name, email_verified_at, totp_enabled_at, created_at FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -147,6 +286,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
+        emailVerified: user.email_verified_at !== null,
+        emailVerifiedAt: user.email_verified_at,
+        mfaEnabled: user.totp_enabled_at !== null,
         createdAt: user.created_at
       }
     });
@@ -157,22 +299,621 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout (client-side token removal)
-router.post('/logout', (req, res) => {
-  // Since we're using stateless JWT tokens, logout is handled client-side
-  // by removing the token from storage
-  res.json({ message: 'Logout successful' });
+// Update profile details
+router.put('/profile', [
+  authenticateTokenAllowUnverified,
+  body('firstName').optional().trim().isLength({ min: 1, max: 100 }).withMessage('First name must be 1-100 characters'),
+  body('lastName').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Last name must be 1-100 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { firstName, lastName } = req.body;
+
+    // Build update query dynamically
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (firstName !== undefined) {
+      updates.push(`first_name = $${paramCount++}`);
+      values.push(firstName);
+    }
+    if (lastName !== undefined) {
+      updates.push(`last_name = $${paramCount++}`);
+      values.push(lastName);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    values.push(req.user.id);
+    const result = await query(`
+      UPDATE users
+      SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${paramCount++}
+      RETURNING id, email, first_name, last_name, email_verified_at, created_at
+    `, values);
+
+    const user = result.rows[0];
+    res.json({
+      message: 'Profile updated successfully',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        emailVerified: user.email_verified_at !== null,
+        createdAt: user.created_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Change password (requires the current password)
+router.put('/password', [
+  authenticateTokenAllowUnverified,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+  const client = await getClient();
+  // Only roll back when a failure leaves a transaction open
+  let inTransaction = false;
+
+  try {
+    // Password confirmations share the login throttle so a stolen session
+    // cannot be used to guess the password
+    const throttle = await reserveLoginAttempt(req.user.email);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(res, throttle);
+    }
+
+    const result = await client.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+
+    const isValidPassword = await bcrypt.compare(currentPassword, result.rows[0].password_hash);
+    if (!isValidPassword) {
+      return rejectFailedLogin(res, req.user.email, 'Current password is incorrect');
+    }
+
+    await clearLoginFailures(req.user.email);
+
+    // Hash password
+    const saltRounds = 10;
+    const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+    await client.query('BEGIN');
+    inTransaction = true;
+    await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, req.user.id]);
+
+    // Sign out every other device; this one gets a fresh token pair below
+    await revokeAllUserTokens(req.user.id, client);
+    await client.query('COMMIT');
+    inTransaction = false;
+
+    const tokens = await issueTokenPair({ ...req.user, token_version: req.user.token_version + 1 });
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+
+  } catch (error) {
+    if (inTransaction) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Change email address (the new address must be verified before it takes effect)
+router.put('/email', [
+  authenticateTokenAllowUnverified,
+  body('newEmail').isEmail().normalizeEmail(),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail, password } = req.body;
+
+    const throttle = await reserveLoginAttempt(req.user.email);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(res, throttle);
+    }
+
+    const result = await query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+
+    const isValidPassword = await bcrypt.compare(password, result.rows[0].password_hash);
+    if (!isValidPassword) {
+      return rejectFailedLogin(res, req.user.email, 'Password is incorrect');
+    }
+
+    await clearLoginFailures(req.user.email);
+
+    if (newEmail === req.user.email) {
+      return res.status(400).json({ message: 'New email must be different from the current one' });
+    }
+
+    const existingUser = await query('SELECT id FROM users WHERE email = $1', [newEmail]);
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({ message: 'User already exists with this email' });
+    }
+
+    await sendVerificationEmail(req.user, newEmail);
+
+    res.json({
+      message: 'A verification link has been sent to the new email address',
+      pendingEmail: newEmail
+    });
+
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete account (requires password confirmation; all user data cascades)
+router.delete('/account', [
+  authenticateTokenAllowUnverified,
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const throttle = await reserveLoginAttempt(req.user.email);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(res, throttle);
+    }
+
+    const result = await query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+
+    const isValidPassword = await bcrypt.compare(req.body.password, result.rows[0].password_hash);
+    if (!isValidPassword) {
+      return rejectFailedLogin(res, req.user.email, 'Password is incorrect');
+    }
+
+    await clearLoginFailures(req.user.email);
+
+    // Subjects, tasks, study sessions, progress logs and tokens are removed by
+    // ON DELETE CASCADE. Attachment rows are deleted first to collect the keys
+    // of their files, which the cascade would otherwise leave in storage.
+    const client = await getClient();
+    let storageKeys;
+
+    try {
+      await client.query('BEGIN');
+
+      const attachments = await client.query(
+        'DELETE FROM attachments WHERE user_id = $1 RETURNING storage_key',
+        [req.user.id]
+      );
+      storageKeys = attachments.rows.map(row => row.storage_key);
+
+      await client.query('DELETE FROM users WHERE id = $1', [req.user.id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Files go only once the rows are gone for good
+    await removeAttachmentFiles(storageKeys);
+
+    res.json({ message: 'Account deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair (rotation)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const client = await getClient();
+  // Only roll back when a failure leaves a transaction open
+  let inTransaction = false;
+
+  try {
+    await client.query('BEGIN');
+    inTransaction = true;
+
+    const result = await client.query(`
+      SELECT rt.id, rt.user_id, rt.family_id, rt.revoked_at, rt.expires_at < CURRENT_TIMESTAMP as expired,
+        u.email, u.token_version
+      FROM refresh_tokens rt
+      JOIN users u ON rt.user_id = u.id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt
+    `, [hashToken(req.body.refreshToken)]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const stored = result.rows[0];
+
+    // A revoked token being presented again means it was stolen or replayed:
+    // kill the whole family so neither party can keep using it
+    if (stored.revoked_at) {
+      await revokeTokenFamily(stored.family_id, client);
+      await client.query('COMMIT');
+      return res.status(401).json({ message: 'Refresh token reuse detected' });
+    }
+
+    if (stored.expired) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ message: 'Refresh token expired' });
+    }
+
+    // Rotate: issue a new token in the same family and retire the old one
+    const next = await issueRefreshToken(stored.user_id, { familyId: stored.family_id, client });
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE id = $2',
+      [next.id, stored.id]
+    );
+
+    await client.query('COMMIT');
+    inTransaction = false;
+
+    res.json({
+      token: generateAccessToken({ id: stored.user_id, email: stored.email, token_version: stored.token_version }),
+      refreshToken: next.token,
+      refreshTokenExpiresAt: next.expiresAt
+    });
+
+  } catch (error) {
+    if (inTransaction) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Logout (revokes the refresh token family of the current device)
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await query(
+      'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+      [hashToken(req.body.refreshToken)]
+    );
+
+    // Unknown tokens are treated as already logged out
+    if (result.rows.length > 0) {
+      await revokeTokenFamily(result.rows[0].family_id);
+    }
+
+    res.json({ message: 'Logout successful' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Logout of all devices (revokes every refresh token and outstanding access token)
+router.post('/logout-all', authenticateTokenAllowUnverified, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user.id);
+
+    res.json({ message: 'Logged out of all devices' });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Request a password reset link
+router.post('/password-reset/request', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const result = await query('SELECT id, email, first_name FROM users WHERE email = $1', [email]);
+
+    // Only send mail for known accounts, but respond identically either way
+    // so the endpoint cannot be used to discover registered emails
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = generateOpaqueToken(32);
+      const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+      // Invalidate any earlier reset links that were not used
+      await query(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+      );
+
+      await query(`
+        INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + INTERVAL '1 minute' * $3)
+      `, [user.id, hashToken(token), ttlMinutes]);
+
+      const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/reset-password?token=${token}`;
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your StudyFlow password',
+        text: `Hi ${user.first_name},\n\n` +
+          `We received a request to reset your password. Use the link below within ${ttlMinutes} minutes:\n\n` +
+          `${resetUrl}\n\n` +
+          'If you did not request this, you can ignore this email.'
+      });
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Confirm a password reset with the emailed token
+router.post('/password-reset/confirm', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { token, password } = req.body;
+  const client = await getClient();
+  // Only roll back when a failure leaves a transaction open
+  let inTransaction = false;
+
+  try {
+    await client.query('BEGIN');
+    inTransaction = true;
+
+    const result = await client.query(`
+      SELECT id, user_id
+      FROM password_reset_tokens
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      FOR UPDATE
+    `, [hashToken(token)]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const resetToken = result.rows[0];
+
+    // Hash password
+    const saltRounds = 10;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, resetToken.user_id]);
+    await client.query('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [resetToken.id]);
+
+    // Sign out every existing session since the old password may be compromised
+    await revokeAllUserTokens(resetToken.user_id, client);
+
+    await client.query('COMMIT');
+    inTransaction = false;
+
+    res.json({ message: 'Password has been reset successfully' });
+
+  } catch (error) {
+    if (inTransaction) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Password reset confirm error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Confirm an email address with the emailed token
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      SELECT user_id, email
+      FROM email_verification_tokens
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      FOR UPDATE
+    `, [hashToken(req.body.token)]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    const { user_id: userId, email } = result.rows[0];
+
+    // Tokens issued for an email change carry the new address; make sure it
+    // was not claimed by another account in the meantime. The token stays
+    // usable in that case.
+    const emailTaken = await client.query(
+      'SELECT id FROM users WHERE email = $1 AND id != $2',
+      [email, userId]
+    );
+
+    if (emailTaken.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'User already exists with this email' });
+    }
+
+    await client.query(
+      'UPDATE users SET email = $1, email_verified_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [email, userId]
+    );
+
+    // Consume this token and retire any other outstanding links so an older
+    // one cannot switch the address back
+    await client.query(
+      'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Email verified successfully', email });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Resend the verification email (throttled per address)
+router.post('/verify-email/resend', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Throttle before looking the address up so unknown and verified
+    // addresses are limited exactly like ones awaiting verification
+    const throttle = await throttleVerificationResend(email);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        message: 'Too many verification emails requested, please try again later',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const userResult = await query(
+      'SELECT id, email, first_name FROM users WHERE email = $1 AND email_verified_at IS NULL',
+      [email]
+    );
+
+    if (userResult.rows.length > 0) {
+      await sendVerificationEmail(userResult.rows[0]);
+    }
+
+    // Respond identically for unknown or already verified addresses
+    res.json({ message: 'If this address needs verification, a new link has been sent' });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
 });
 
 // Verify token endpoint
-router.get('/verify', authenticateToken, (req, res) => {
+router.get('/verify', authenticateTokenAllowUnverified, (req, res) => {
   res.json({
     message: 'Token is valid',
     user: {
       id: req.user.id,
       email: req.user.email,
       firstName: req.user.first_name,
-      lastName: req.user.last_name
+      lastName: req.user.last_name,
+      emailVerified: req.user.email_verified
     }
   });
 });
@@ -0,0 +1,257 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { generateRecoveryCodes, verifySecondFactor } = require('../utils/mfa');
+const { reserveLoginAttempt, recordLoginFailure, clearLoginFailures } = require('../utils/loginThrottle');
+
+const router = express.Router();
+
+// Respond to a throttled attempt. Password and code checks here count
+// against the same per-account limits as logins, so a stolen access token
+// cannot be used to guess them.
+const rejectThrottledAttempt = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  if (throttle.locked) {
+    return res.status(423).json({
+      message: 'Account temporarily locked due to too many failed attempts',
+      retryAfter: throttle.retryAfter
+    });
+  }
+  return res.status(429).json({
+    message: 'Too many failed attempts, please wait before trying again',
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Record a failed attempt and build the matching response
+const rejectFailedAttempt = async (res, email, message) => {
+  const failure = await recordLoginFailure(email);
+  if (failure.locked) {
+    return res.status(423).json({
+      message: 'Account temporarily locked due to too many failed attempts',
+      lockedUntil: failure.lockedUntil
+    });
+  }
+  return res.status(401).json({ message });
+};
+
+// Get two-factor authentication status
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT u.totp_enabled_at,
+        (SELECT COUNT(*) FROM mfa_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) as recovery_codes_remaining
+      FROM users u
+      WHERE u.id = $1
+    `, [req.user.id]);
+
+    const status = result.rows[0];
+    res.json({
+      mfa: {
+        enabled: status.totp_enabled_at !== null,
+        enabledAt: status.totp_enabled_at,
+        recoveryCodesRemaining: parseInt(status.recovery_codes_remaining)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Start TOTP enrolment: generate a secret and its provisioning URI
+router.post('/setup', authenticateToken, async (req, res) => {
+  try {
+    const existing = await query('SELECT totp_enabled_at FROM users WHERE id = $1', [req.user.id]);
+
+    if (existing.rows[0].totp_enabled_at) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    // The secret stays pending until a valid code confirms enrolment
+    const secret = generateSecret();
+    await query(
+      'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2',
+      [secret, req.user.id]
+    );
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri(secret, req.user.email)
+    });
+
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Confirm enrolment with a code from the authenticator app
+router.post('/enable', [
+  authenticateToken,
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const client = await getClient();
+
+  try {
+    const result = await client.query(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (user.totp_enabled_at) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.totp_secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $1 WHERE id = $2',
+      [step, req.user.id]
+    );
+    const recoveryCodes = await generateRecoveryCodes(req.user.id, client);
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('MFA enable error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Disable two-factor authentication (requires password and a second factor)
+router.post('/disable', [
+  authenticateToken,
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await query(
+      'SELECT id, email, password_hash, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const throttle = await reserveLoginAttempt(user.email);
+    if (!throttle.allowed) {
+      return rejectThrottledAttempt(res, throttle);
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.password, user.password_hash);
+    if (!isValidPassword) {
+      return rejectFailedAttempt(res, user.email, 'Password is incorrect');
+    }
+
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return rejectFailedAttempt(res, user.email, 'Invalid code');
+    }
+
+    await clearLoginFailures(user.email);
+
+    await query(
+      'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+      [req.user.id]
+    );
+    await query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [req.user.id]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Regenerate recovery codes (invalidates the previous set)
+router.post('/recovery-codes', [
+  authenticateToken,
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await query(
+      'SELECT id, email, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const throttle = await reserveLoginAttempt(user.email);
+    if (!throttle.allowed) {
+      return rejectThrottledAttempt(res, throttle);
+    }
+
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return rejectFailedAttempt(res, user.email, 'Invalid code');
+    }
+
+    await clearLoginFailures(user.email);
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
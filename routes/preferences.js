@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { DEFAULT_PREFERENCES, getUserPreferences, isValidTimezone } = require('../utils/preferences');
+
+const router = express.Router();
+
+const formatPreferences = (preferences) => ({
+  timezone: preferences.timezone,
+  weekStart: preferences.week_start,
+  dailyGoalMinutes: preferences.daily_goal_minutes,
+  weeklyGoalMinutes: preferences.weekly_goal_minutes,
+  defaultTaskDuration: preferences.default_task_duration,
+  autoRollover: preferences.auto_rollover,
+  pomodoro: {
+    workMinutes: preferences.pomodoro_work_minutes,
+    shortBreakMinutes: preferences.pomodoro_short_break_minutes,
+    longBreakMinutes: preferences.pomodoro_long_break_minutes,
+    longBreakEvery: preferences.pomodoro_long_break_every
+  }
+});
+
+// Get the authenticated user's preferences
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const preferences = await getUserPreferences(req.user.id);
+
+    res.json({ preferences: formatPreferences(preferences) });
+
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update preferences (only the given fields change)
+router.put('/', [
+  authenticateToken,
+  body('timezone').optional().custom(isValidTimezone).withMessage('Valid IANA timezone is required'),
+  body('weekStart').optional().isInt({ min: 0, max: 6 }).withMessage('Week start must be 0 (Sunday) to 6 (Saturday)'),
+  body('dailyGoalMinutes').optional().isInt({ min: 0, max: 1440 }).withMessage('Daily goal must be 0-1440 minutes'),
+  body('weeklyGoalMinutes').optional().isInt({ min: 0, max: 10080 }).withMessage('Weekly goal must be 0-10080 minutes'),
+  body('defaultTaskDuration').optional().isInt({ min: 1 }).withMessage('Default task duration must be a positive integer'),
+  body('autoRollover').optional().isBoolean().withMessage('Auto rollover must be a boolean'),
+  body('pomodoro').optional().isObject().withMessage('Pomodoro settings must be an object'),
+  body('pomodoro.workMinutes').optional().isInt({ min: 1, max: 180 }).withMessage('Work phase must be 1-180 minutes'),
+  body('pomodoro.shortBreakMinutes').optional().isInt({ min: 1, max: 60 }).withMessage('Short break must be 1-60 minutes'),
+  body('pomodoro.longBreakMinutes').optional().isInt({ min: 1, max: 120 }).withMessage('Long break must be 1-120 minutes'),
+  body('pomodoro.longBreakEvery').optional().isInt({ min: 1, max: 12 }).withMessage('Long break interval must be 1-12 work phases')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { timezone, weekStart, dailyGoalMinutes, weeklyGoalMinutes, defaultTaskDuration, autoRollover, pomodoro = {} } = req.body;
+
+    if ([timezone, weekStart, dailyGoalMinutes, weeklyGoalMinutes, defaultTaskDuration, autoRollover, ...Object.values(pomodoro)].every(v => v === undefined)) {
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    const current = await getUserPreferences(req.user.id);
+    const updated = {
+      timezone: timezone !== undefined ? timezone : current.timezone,
+      week_start: weekStart !== undefined ? weekStart : current.week_start,
+      daily_goal_minutes: dailyGoalMinutes !== undefined ? dailyGoalMinutes : current.daily_goal_minutes,
+      weekly_goal_minutes: weeklyGoalMinutes !== undefined ? weeklyGoalMinutes : current.weekly_goal_minutes,
+      default_task_duration: defaultTaskDuration !== undefined ? defaultTaskDuration : current.default_task_duration,
+      auto_rollover: autoRollover !== undefined ? autoRollover : current.auto_rollover,
+      pomodoro_work_minutes: pomodoro.workMinutes !== undefined ? pomodoro.workMinutes : current.pomodoro_work_minutes,
+      pomodoro_short_break_minutes: pomodoro.shortBreakMinutes !== undefined ? pomodoro.shortBreakMinutes : current.pomodoro_short_break_minutes,
+      pomodoro_long_break_minutes: pomodoro.longBreakMinutes !== undefined ? pomodoro.longBreakMinutes : current.pomodoro_long_break_minutes,
+      pomodoro_long_break_every: pomodoro.longBreakEvery !== undefined ? pomodoro.longBreakEvery : current.pomodoro_long_break_every
+    };
+
+    const result = await query(`
+      INSERT INTO user_preferences (
+        user_id, timezone, week_start, daily_goal_minutes, weekly_goal_minutes, default_task_duration, auto_rollover,
+        pomodoro_work_minutes, pomodoro_short_break_minutes, pomodoro_long_break_minutes, pomodoro_long_break_every
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (user_id) DO UPDATE SET
+        timezone = $2, week_start = $3, daily_goal_minutes = $4,
+        weekly_goal_minutes = $5, default_task_duration = $6, auto_rollover = $7,
+        pomodoro_work_minutes = $8, pomodoro_short_break_minutes = $9,
+        pomodoro_long_break_minutes = $10, pomodoro_long_break_every = $11, updated_at = CURRENT_TIMESTAMP
+      RETURNING
+        timezone, week_start, daily_goal_minutes, weekly_goal_minutes, default_task_duration, auto_rollover,
+        pomodoro_work_minutes, pomodoro_short_break_minutes, pomodoro_long_break_minutes, pomodoro_long_break_every
+    `, [
+      req.user.id,
+      updated.timezone,
+      updated.week_start,
+      updated.daily_goal_minutes,
+      updated.weekly_goal_minutes,
+      updated.default_task_duration,
+      updated.auto_rollover,
+      updated.pomodoro_work_minutes,
+      updated.pomodoro_short_break_minutes,
+      updated.pomodoro_long_break_minutes,
+      updated.pomodoro_long_break_every
+    ]);
+
+    res.json({
+      message: 'Preferences updated successfully',
+      preferences: formatPreferences(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Reset preferences to the defaults
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    await query('DELETE FROM user_preferences WHERE user_id = $1', [req.user.id]);
+
+    res.json({
+      message: 'Preferences reset to defaults',
+      preferences: formatPreferences(DEFAULT_PREFERENCES)
+    });
+
+  } catch (error) {
+    console.error('Reset preferences error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
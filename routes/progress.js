@@ -2,38 +2,91 @@ const express = require('express');
 const { query: queryValidator, validationResult } = require('express-validator');
 const { query } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { getUserPreferences, localDate, weekStartSql } = require('../utils/preferences');
 
 const router = express.Router();
 
+// Tracked time within this fraction of the estimate counts as accurate
+const ESTIMATE_TOLERANCE = 0.1;
+
+// Compare estimated and tracked minutes of a group of tasks. The ratio is
+// actual / estimated, so above 1 means the tasks took longer than planned;
+// deviation is the average per-task difference in percent of the estimate.
+const summarizeEstimates = (tasks) => {
+  const estimatedTime = tasks.reduce((total, task) => total + task.estimated_time, 0);
+  const actualTime = tasks.reduce((total, task) => total + task.actual_time, 0);
+  const ratio = estimatedTime > 0 ? actualTime / estimatedTime : null;
+  const deviations = tasks.map(task => (task.actual_time - task.estimated_time) / task.estimated_time);
+
+  let tendency = null;
+  if (ratio !== null) {
+    if (ratio > 1 + ESTIMATE_TOLERANCE) {
+      tendency = 'underestimates';
+    } else if (ratio < 1 - ESTIMATE_TOLERANCE) {
+      tendency = 'overestimates';
+    } else {
+      tendency = 'accurate';
+    }
+  }
+
+  return {
+    taskCount: tasks.length,
+    estimatedTime,
+    actualTime,
+    ratio: ratio !== null ? Math.round(ratio * 100) / 100 : null,
+    averageDeviation: tasks.length > 0
+      ? Math.round((deviations.reduce((total, deviation) => total + deviation, 0) / tasks.length) * 100)
+      : null,
+    underestimatedTasks: deviations.filter(deviation => deviation > ESTIMATE_TOLERANCE).length,
+    overestimatedTasks: deviations.filter(deviation => deviation < -ESTIMATE_TOLERANCE).length,
+    accurateTasks: deviations.filter(deviation => Math.abs(deviation) <= ESTIMATE_TOLERANCE).length,
+    tendency
+  };
+};
+
 // Get overall progress statistics
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
+    const preferences = await getUserPreferences(req.user.id);
+    const today = localDate(preferences.timezone);
+
     // Get overall task statistics
     const taskStats = await query(`
       SELECT
         COUNT(*) as total_tasks,
         COUNT(CASE WHEN completed = true THEN 1 END) as completed_tasks,
-        COUNT(CASE WHEN completed = false THEN 1 END) as pending_tasks
+        COUNT(CASE WHEN completed = false THEN 1 END) as pending_tasks,
+        COUNT(CASE WHEN completed = false AND recurrence IS NULL AND due_date < $2::date THEN 1 END) as overdue_tasks
       FROM tasks
-      WHERE user_id = $1
-    `, [req.user.id]);
+      WHERE user_id = $1 AND deleted_at IS NULL
+    `, [req.user.id, today]);
 
     // Get total study time
     const studyTimeResult = await query(`
       SELECT COALESCE(SUM(duration), 0) as total_study_time
       FROM study_sessions
-      WHERE user_id = $1
+      WHERE user_id = $1 AND deleted_at IS NULL
     `, [req.user.id]);
 
+    // Get study time for today and the current week (in the user's timezone)
+    const goalTimeResult = await query(`
+      SELECT
+        COALESCE(SUM(CASE WHEN session_date = $2::date THEN duration END), 0) as today_study_time,
+        COALESCE(SUM(duration), 0) as week_study_time
+      FROM study_sessions
+      WHERE user_id = $1 AND deleted_at IS NULL
+        AND session_date BETWEEN ${weekStartSql('$2::date', '$3')} AND $2::date
+    `, [req.user.id, today, preferences.week_start]);
+
     // Get current streak (consecutive days with completed tasks)
     const streakResult = await query(`
       WITH daily_completions AS (
         SELECT
-          DATE(completed_at) as completion_date,
+          DATE(completed_at AT TIME ZONE $2) as completion_date,
           COUNT(*) as completed_count
         FROM tasks
-        WHERE user_id = $1 AND completed = true AND completed_at IS NOT NULL
-        GROUP BY DATE(completed_at)
+        WHERE user_id = $1 AND deleted_at IS NULL AND completed = true AND completed_at IS NOT NULL
+        GROUP BY DATE(completed_at AT TIME ZONE $2)
         ORDER BY completion_date DESC
       ),
       streak_calculation AS (
@@ -46,22 +99,31 @@ router.get('/stats', authenticateToken, async (req, res) => {
       SELECT COUNT(*) as current_streak
       FROM streak_calculation
       WHERE completion_date = expected_date
-    `, [req.user.id]);
+    `, [req.user.id, preferences.timezone]);
 
     // Calculate productivity score (percentage of completed tasks)
     const stats = taskStats.rows[0];
     const totalTasks = parseInt(stats.total_tasks);
     const completedTasks = parseInt(stats.completed_tasks);
     const productivityScore = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+    const todayStudyTime = parseInt(goalTimeResult.rows[0].today_study_time);
+    const weekStudyTime = parseInt(goalTimeResult.rows[0].week_study_time);
 
     res.json({
       stats: {
         totalTasks,
         completedTasks,
         pendingTasks: parseInt(stats.pending_tasks),
+        overdueTasks: parseInt(stats.overdue_tasks),
         totalStudyTime: parseInt(studyTimeResult.rows[0].total_study_time),
         productivityScore,
-        currentStreak: parseInt(streakResult.rows[0].current_streak)
+        currentStreak: parseInt(streakResult.rows[0].current_streak),
+        todayStudyTime,
+        dailyGoalMinutes: preferences.daily_goal_minutes,
+        dailyGoalProgress: preferences.daily_goal_minutes > 0 ? Math.round((todayStudyTime / preferences.daily_goal_minutes) * 100) : 0,
+        weekStudyTime,
+        weeklyGoalMinutes: preferences.weekly_goal_minutes,
+        weeklyGoalProgress: preferences.weekly_goal_minutes > 0 ? Math.round((weekStudyTime / preferences.weekly_goal_minutes) * 100) : 0
       }
     });
 
@@ -87,31 +149,33 @@ router.get('/weekly', [
     }
 
     const weeks = parseInt(req.query.weeks) || 4;
+    const preferences = await getUserPreferences(req.user.id);
+    const today = localDate(preferences.timezone);
 
-    // Get weekly task completion data
+    // Get weekly task completion data (weeks begin on the user's week start day)
     const weeklyData = await query(`
       WITH week_series AS (
         SELECT
-          date_trunc('week', CURRENT_DATE - INTERVAL '1 week' * generate_series(0, $2 - 1)) as week_start
+          ${weekStartSql('$3::date', '$4')} - 7 * generate_series(0, $2 - 1) as week_start
       ),
       weekly_tasks AS (
         SELECT
-          date_trunc('week', due_date) as week_start,
+          ${weekStartSql('due_date', '$4')} as week_start,
           COUNT(*) as total_tasks,
           COUNT(CASE WHEN completed = true THEN 1 END) as completed_tasks
         FROM tasks
-        WHERE user_id = $1
-          AND due_date >= CURRENT_DATE - INTERVAL '1 week' * $2
-        GROUP BY date_trunc('week', due_date)
+        WHERE user_id = $1 AND deleted_at IS NULL
+          AND due_date >= (SELECT MIN(week_start) FROM week_series)
+        GROUP BY 1
       ),
       weekly_study_time AS (
         SELECT
-          date_trunc('week', session_date) as week_start,
+          ${weekStartSql('session_date', '$4')} as week_start,
           SUM(duration) as study_time
         FROM study_sessions
-        WHERE user_id = $1
-          AND session_date >= CURRENT_DATE - INTERVAL '1 week' * $2
-        GROUP BY date_trunc('week', session_date)
+        WHERE user_id = $1 AND deleted_at IS NULL
+          AND session_date >= (SELECT MIN(week_start) FROM week_series)
+        GROUP BY 1
       )
       SELECT
         ws.week_start,
@@ -122,7 +186,7 @@ router.get('/weekly', [
       LEFT JOIN weekly_tasks wt ON ws.week_start = wt.week_start
       LEFT JOIN weekly_study_time wst ON ws.week_start = wst.week_start
       ORDER BY ws.week_start DESC
-    `, [req.user.id, weeks]);
+    `, [req.user.id, weeks, today, preferences.week_start]);
 
     res.json({
       weeklyData: weeklyData.rows.map(week => ({
@@ -130,8 +194,11 @@ router.get('/weekly', [
         totalTasks: parseInt(week.total_tasks),
         completedTasks: parseInt(week.completed_tasks),
         studyTime: parseInt(week.study_time),
-        completionRate: week.total_tasks > 0 ? Math.round((week.completed_tasks / week.total_tasks) * 100) : 0
-      }))
+        completionRate: week.total_tasks > 0 ? Math.round((week.completed_tasks / week.total_tasks) * 100) : 0,
+        goalMinutes: preferences.weekly_goal_minutes,
+        goalMet: parseInt(week.study_time) >= preferences.weekly_goal_minutes
+      })),
+      weekStart: preferences.week_start
     });
 
   } catch (error) {
@@ -154,9 +221,9 @@ router.get('/subjects', authenticateToken, async (req, res) => {
         COALESCE(SUM(ss.duration), 0) as total_study_time,
         COALESCE(AVG(t.estimated_time), 0) as avg_estimated_time
       FROM subjects s
-      LEFT JOIN tasks t ON s.id = t.subject_id
-      LEFT JOIN study_sessions ss ON s.id = ss.subject_id
-      WHERE s.user_id = $1
+      LEFT JOIN tasks t ON s.id = t.subject_id AND t.deleted_at IS NULL
+      LEFT JOIN study_sessions ss ON s.id = ss.subject_id AND ss.deleted_at IS NULL
+      WHERE s.user_id = $1 AND s.deleted_at IS NULL
       GROUP BY s.id, s.name, s.color
       ORDER BY s.name
     `, [req.user.id]);
@@ -180,6 +247,147 @@ router.get('/subjects', authenticateToken, async (req, res) => {
   }
 });
 
+// Get per-tag study time and task completion, optionally within a date range
+router.get('/tags', [
+  authenticateToken,
+  queryValidator('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  queryValidator('end_date').optional().isISO8601().withMessage('Valid end date required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { start_date, end_date } = req.query;
+
+    // Sessions and tasks are aggregated separately so neither multiplies the other
+    const tagProgress = await query(`
+      SELECT
+        tg.id,
+        tg.name,
+        tg.color,
+        COALESCE(task_stats.total_tasks, 0) as total_tasks,
+        COALESCE(task_stats.completed_tasks, 0) as completed_tasks,
+        COALESCE(session_stats.total_study_time, 0) as total_study_time,
+        COALESCE(session_stats.session_count, 0) as session_count
+      FROM tags tg
+      LEFT JOIN (
+        SELECT
+          tt.tag_id,
+          COUNT(*) as total_tasks,
+          COUNT(CASE WHEN t.completed = true THEN 1 END) as completed_tasks
+        FROM task_tags tt
+        JOIN tasks t ON tt.task_id = t.id
+        WHERE t.deleted_at IS NULL
+          AND ($2::date IS NULL OR t.due_date >= $2) AND ($3::date IS NULL OR t.due_date <= $3)
+        GROUP BY tt.tag_id
+      ) task_stats ON task_stats.tag_id = tg.id
+      LEFT JOIN (
+        SELECT
+          st.tag_id,
+          SUM(ss.duration) as total_study_time,
+          COUNT(*) as session_count
+        FROM session_tags st
+        JOIN study_sessions ss ON st.session_id = ss.id
+        WHERE ss.deleted_at IS NULL
+          AND ($2::date IS NULL OR ss.session_date >= $2) AND ($3::date IS NULL OR ss.session_date <= $3)
+        GROUP BY st.tag_id
+      ) session_stats ON session_stats.tag_id = tg.id
+      WHERE tg.user_id = $1
+      ORDER BY tg.name
+    `, [req.user.id, start_date || null, end_date || null]);
+
+    res.json({
+      tagProgress: tagProgress.rows.map(tag => ({
+        id: tag.id,
+        name: tag.name,
+        color: tag.color,
+        totalTasks: parseInt(tag.total_tasks),
+        completedTasks: parseInt(tag.completed_tasks),
+        totalStudyTime: parseInt(tag.total_study_time),
+        sessionCount: parseInt(tag.session_count),
+        completionRate: tag.total_tasks > 0 ? Math.round((tag.completed_tasks / tag.total_tasks) * 100) : 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get tag progress error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get how estimated times compare to tracked time for completed tasks, per
+// subject and per priority, optionally for tasks completed within a date range
+router.get('/estimates', [
+  authenticateToken,
+  queryValidator('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  queryValidator('end_date').optional().isISO8601().withMessage('Valid end date required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { start_date, end_date } = req.query;
+    const preferences = await getUserPreferences(req.user.id);
+
+    // Completed tasks with an estimate and tracked time, one row per task
+    const tasksResult = await query(`
+      SELECT
+        t.id, t.priority, t.estimated_time, SUM(e.minutes)::int as actual_time,
+        s.id as subject_id, s.name as subject_name, s.color as subject_color
+      FROM tasks t
+      JOIN subjects s ON t.subject_id = s.id
+      JOIN task_time_entries e ON e.task_id = t.id AND e.minutes IS NOT NULL
+      WHERE t.user_id = $1 AND t.deleted_at IS NULL AND t.completed AND t.estimated_time > 0
+        AND ($2::date IS NULL OR (t.completed_at AT TIME ZONE $4)::date >= $2)
+        AND ($3::date IS NULL OR (t.completed_at AT TIME ZONE $4)::date <= $3)
+      GROUP BY t.id, s.id
+      ORDER BY s.name
+    `, [req.user.id, start_date || null, end_date || null, preferences.timezone]);
+
+    const tasks = tasksResult.rows;
+
+    const subjects = new Map();
+    for (const task of tasks) {
+      if (!subjects.has(task.subject_id)) {
+        subjects.set(task.subject_id, {
+          subject: { id: task.subject_id, name: task.subject_name, color: task.subject_color },
+          tasks: []
+        });
+      }
+      subjects.get(task.subject_id).tasks.push(task);
+    }
+
+    res.json({
+      tolerance: ESTIMATE_TOLERANCE,
+      overall: summarizeEstimates(tasks),
+      bySubject: [...subjects.values()].map(group => ({
+        ...group.subject,
+        ...summarizeEstimates(group.tasks)
+      })),
+      byPriority: ['high', 'medium', 'low'].map(priority => ({
+        priority,
+        ...summarizeEstimates(tasks.filter(task => task.priority === priority))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get estimation accuracy error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get daily progress for a specific date range
 router.get('/daily', [
   authenticateToken,
@@ -196,8 +404,9 @@ router.get('/daily', [
       });
     }
 
-    const startDate = req.query.start_date || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    const endDate = req.query.end_date || new Date().toISOString().split('T')[0];
+    const preferences = await getUserPreferences(req.user.id);
+    const startDate = req.query.start_date || localDate(preferences.timezone, new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+    const endDate = req.query.end_date || localDate(preferences.timezone);
 
     // Get daily progress data
     const dailyProgress = await query(`
@@ -210,7 +419,7 @@ router.get('/daily', [
           COUNT(*) as total_tasks,
           COUNT(CASE WHEN completed = true THEN 1 END) as completed_tasks
         FROM tasks
-        WHERE user_id = $1 AND due_date BETWEEN $2 AND $3
+        WHERE user_id = $1 AND deleted_at IS NULL AND due_date BETWEEN $2 AND $3
         GROUP BY due_date
       ),
       daily_study_time AS (
@@ -218,7 +427,7 @@ router.get('/daily', [
           session_date,
           SUM(duration) as study_time
         FROM study_sessions
-        WHERE user_id = $1 AND session_date BETWEEN $2 AND $3
+        WHERE user_id = $1 AND deleted_at IS NULL AND session_date BETWEEN $2 AND $3
         GROUP BY session_date
       )
       SELECT
@@ -238,8 +447,10 @@ router.get('/daily', [
         totalTasks: parseInt(day.total_tasks),
         completedTasks: parseInt(day.completed_tasks),
         studyTime: parseInt(day.study_time),
-        completionRate: day.total_tasks > 0 ? Math.round((day.completed_tasks / day.total_tasks) * 100) : 0
-      }))
+        completionRate: day.total_tasks > 0 ? Math.round((day.completed_tasks / day.total_tasks) * 100) : 0,
+        goalMet: parseInt(day.study_time) >= preferences.daily_goal_minutes
+      })),
+      dailyGoalMinutes: preferences.daily_goal_minutes
     });
 
   } catch (error) {
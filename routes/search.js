@@ -0,0 +1,150 @@
+const express = require('express');
+const { query: queryValidator, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['tasks', 'sessions', 'subjects'];
+
+// Matched terms in snippets are wrapped in <mark></mark>; the rest of the
+// snippet is the user's own text and must be escaped by clients
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "';
+
+// Turn free text into a tsquery where every word is a prefix match, so
+// "alg struct" finds "algorithms and data structures" while typing.
+// Only letters and digits are kept, which keeps to_tsquery from failing on user input.
+const buildPrefixQuery = (text) => {
+  const terms = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, 10).map(term => `${term.toLowerCase()}:*`).join(' & ');
+};
+
+const validateTypes = (value) => {
+  const types = value.split(',').map(type => type.trim());
+  if (!types.every(type => SEARCH_TYPES.includes(type))) {
+    throw new Error(`Types must be among: ${SEARCH_TYPES.join(', ')}`);
+  }
+  return true;
+};
+
+// Search tasks, study sessions and subjects with ranking and highlighted snippets
+router.get('/', [
+  authenticateToken,
+  queryValidator('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search text must be 1-200 characters'),
+  queryValidator('types').optional().custom(validateTypes),
+  queryValidator('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  queryValidator('end_date').optional().isISO8601().withMessage('Valid end date required'),
+  queryValidator('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, start_date, end_date, limit = 20 } = req.query;
+    const types = req.query.types ? req.query.types.split(',').map(type => type.trim()) : SEARCH_TYPES;
+    const tsquery = buildPrefixQuery(q);
+
+    if (!tsquery) {
+      return res.json({ query: q, results: [] });
+    }
+
+    // Date range applies to task due dates and session dates
+    const dateFilter = (column, values) => {
+      const conditions = [];
+      if (start_date) {
+        values.push(start_date);
+        conditions.push(`${column} >= $${values.length}`);
+      }
+      if (end_date) {
+        values.push(end_date);
+        conditions.push(`${column} <= $${values.length}`);
+      }
+      return conditions.map(condition => ` AND ${condition}`).join('');
+    };
+
+    const searches = [];
+
+    if (types.includes('tasks')) {
+      const values = [req.user.id, tsquery, parseInt(limit)];
+      searches.push(query(`
+        SELECT
+          'task' as type, t.id, t.title, t.due_date as date,
+          ts_rank(t.search_vector, q) as rank,
+          ts_headline('english', t.title || ' ' || COALESCE(t.description, ''), q, '${HEADLINE_OPTIONS}') as snippet,
+          s.id as subject_id, s.name as subject_name, s.color as subject_color
+        FROM tasks t
+        JOIN subjects s ON t.subject_id = s.id,
+          to_tsquery('english', $2) q
+        WHERE t.user_id = $1 AND t.deleted_at IS NULL AND t.search_vector @@ q${dateFilter('t.due_date', values)}
+        ORDER BY rank DESC
+        LIMIT $3
+      `, values));
+    }
+
+    if (types.includes('sessions')) {
+      const values = [req.user.id, tsquery, parseInt(limit)];
+      searches.push(query(`
+        SELECT
+          'session' as type, ss.id, s.name as title, ss.session_date as date,
+          ts_rank(ss.search_vector, q) as rank,
+          ts_headline('english', COALESCE(ss.notes, ''), q, '${HEADLINE_OPTIONS}') as snippet,
+          s.id as subject_id, s.name as subject_name, s.color as subject_color
+        FROM study_sessions ss
+        JOIN subjects s ON ss.subject_id = s.id,
+          to_tsquery('english', $2) q
+        WHERE ss.user_id = $1 AND ss.deleted_at IS NULL AND ss.search_vector @@ q${dateFilter('ss.session_date', values)}
+        ORDER BY rank DESC
+        LIMIT $3
+      `, values));
+    }
+
+    // Subjects have no date, so they are left out of date-filtered searches
+    if (types.includes('subjects') && !start_date && !end_date) {
+      searches.push(query(`
+        SELECT
+          'subject' as type, s.id, s.name as title, NULL::date as date,
+          ts_rank(s.search_vector, q) as rank,
+          ts_headline('english', s.name, q, '${HEADLINE_OPTIONS}') as snippet,
+          s.id as subject_id, s.name as subject_name, s.color as subject_color
+        FROM subjects s, to_tsquery('english', $2) q
+        WHERE s.user_id = $1 AND s.deleted_at IS NULL AND s.search_vector @@ q
+        ORDER BY rank DESC
+        LIMIT $3
+      `, [req.user.id, tsquery, parseInt(limit)]));
+    }
+
+    const results = (await Promise.all(searches))
+      .flatMap(result => result.rows)
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, parseInt(limit));
+
+    res.json({
+      query: q,
+      results: results.map(result => ({
+        type: result.type,
+        id: result.id,
+        title: result.title,
+        date: result.date,
+        snippet: result.snippet,
+        rank: Number(result.rank.toFixed(4)),
+        subject: {
+          id: result.subject_id,
+          name: result.subject_name,
+          color: result.subject_color
+        }
+      }))
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,26 +1,105 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { body, param, query: queryValidator, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { tagsSql, tagFilterSql, parseTagIds, validateTagIdList, userOwnsTags, replaceTags, UUID_PATTERN } = require('../utils/tags');
+const { purgeDate } = require('../utils/trash');
+const { attachmentsSql } = require('../utils/attachments');
+const { getUserPreferences } = require('../utils/preferences');
+const { MAX_LIVE_SESSION_HOURS, sumMinutes, formatInterval, formatLiveSession, loadLiveSession } = require('../utils/pomodoro');
+const { MAX_SESSION_MINUTES, findSessionConflicts, findConflictPairs } = require('../utils/sessionConflicts');
+const { toDateString } = require('../utils/recurrence');
+const { actorFromRequest } = require('../utils/history');
+const {
+  sessionTasksSql,
+  validateTaskLinks,
+  allocatedMinutes,
+  userOwnsTasks,
+  replaceSessionTasks,
+  completeSessionTasks
+} = require('../utils/sessionTasks');
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseList,
+  listOf,
+  decodeCursor,
+  validateCursor,
+  cursorMatchesKeys,
+  keysetConditionSql,
+  cursorKeySql,
+  paginate
+} = require('../utils/pagination');
 
 const router = express.Router();
 
-// Get all study sessions for the authenticated user with optional filtering
-router.get('/', authenticateToken, async (req, res) => {
+// Sortable session columns with their SQL types (for cursor values)
+const SESSION_SORT_TYPES = {
+  session_date: 'date',
+  start_time: 'time',
+  duration: 'int',
+  created_at: 'timestamptz'
+};
+
+// Get all study sessions for the authenticated user with optional filtering.
+// Pages are requested with `limit` and the `pagination.next` cursor of the
+// previous page (`offset` is still accepted but can skip or repeat sessions).
+router.get('/', [
+  authenticateToken,
+  queryValidator('date').optional().isISO8601().withMessage('Valid date required'),
+  queryValidator('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  queryValidator('end_date').optional().isISO8601().withMessage('Valid end date required'),
+  queryValidator('subject_id').optional().custom(listOf(id => UUID_PATTERN.test(id), 'Subject IDs must be a comma-separated list of UUIDs')),
+  queryValidator('tags').optional().custom(validateTagIdList),
+  queryValidator('tag_mode').optional().isIn(['any', 'all']).withMessage('Tag mode must be any or all'),
+  queryValidator('task_id').optional().isUUID().withMessage('Invalid task ID'),
+  queryValidator('sort').optional().isIn(Object.keys(SESSION_SORT_TYPES)).withMessage(`Sort must be one of: ${Object.keys(SESSION_SORT_TYPES).join(', ')}`),
+  queryValidator('order').optional().toUpperCase().isIn(['ASC', 'DESC']).withMessage('Order must be asc or desc'),
+  queryValidator('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+  queryValidator('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+  queryValidator('cursor').optional().custom(validateCursor)
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const {
       date,
       subject_id,
       start_date,
       end_date,
+      tags,
+      tag_mode = 'any',
+      task_id,
       sort = 'session_date',
       order = 'DESC',
-      limit = 100,
-      offset = 0
+      cursor
     } = req.query;
+    const limit = parseInt(req.query.limit) || DEFAULT_LIMIT;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Sessions are ordered by the sort column, then start time and ID
+    const sortKeys = [...new Set([sort, 'start_time', 'id'])].map(column => ({
+      column: `ss.${column}`,
+      type: SESSION_SORT_TYPES[column] || 'uuid'
+    }));
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (after && (after.sort !== sort || after.order !== order || !cursorMatchesKeys(after.after, sortKeys))) {
+      return res.status(400).json({ message: 'Cursor does not match the requested sort and order' });
+    }
+    if (after && offset) {
+      return res.status(400).json({ message: 'Use either cursor or offset, not both' });
+    }
 
     // Build query conditions
-    const conditions = ['ss.user_id = $1'];
+    const conditions = ['ss.user_id = $1', 'ss.deleted_at IS NULL'];
     const values = [req.user.id];
     let paramCount = 2;
 
@@ -29,9 +108,10 @@ router.get('/', authenticateToken, async (req, res) => {
       values.push(date);
     }
 
-    if (subject_id) {
-      conditions.push(`ss.subject_id = $${paramCount++}`);
-      values.push(subject_id);
+    const subjectIds = subject_id ? parseList(subject_id) : [];
+    if (subjectIds.length > 0) {
+      conditions.push(`ss.subject_id = ANY($${paramCount++}::uuid[])`);
+      values.push(subjectIds);
     }
 
     if (start_date) {
@@ -44,41 +124,73 @@ router.get('/', authenticateToken, async (req, res) => {
       values.push(end_date);
     }
 
-    // Validate sort field
-    const validSortFields = ['session_date', 'start_time', 'duration', 'created_at'];
-    const sortField = validSortFields.includes(sort) ? sort : 'session_date';
-    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    if (task_id) {
+      conditions.push(`EXISTS (SELECT 1 FROM session_tasks st WHERE st.session_id = ss.id AND st.task_id = $${paramCount++})`);
+      values.push(task_id);
+    }
+
+    const tagIds = tags ? parseTagIds(tags) : [];
+    if (tagIds.length > 0) {
+      conditions.push(tagFilterSql('session', 'ss.id', `$${paramCount++}`, tag_mode));
+      values.push(tagIds);
+    }
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total
+      FROM study_sessions ss
+      WHERE ${conditions.join(' AND ')}
+    `, values);
+
+    if (after) {
+      conditions.push(keysetConditionSql(sortKeys, paramCount, order));
+      values.push(...after.after);
+      paramCount += sortKeys.length;
+    }
 
     const queryText = `
       SELECT
         ss.id, ss.session_date, ss.start_time, ss.duration, ss.notes,
         ss.created_at, ss.updated_at,
-        s.name as subject_name, s.color as subject_color
+        s.name as subject_name, s.color as subject_color,
+        ${tagsSql('session', 'ss.id')},
+        ${attachmentsSql('session', 'ss.id')},
+        ${sessionTasksSql('ss.id')},
+        ${cursorKeySql(sortKeys)}
       FROM study_sessions ss
       JOIN subjects s ON ss.subject_id = s.id
       WHERE ${conditions.join(' AND ')}
-      ORDER BY ss.${sortField} ${sortOrder}, ss.start_time ${sortOrder}
+      ORDER BY ${sortKeys.map(key => `${key.column} ${order}`).join(', ')}
       LIMIT $${paramCount++} OFFSET $${paramCount++}
     `;
 
-    values.push(parseInt(limit), parseInt(offset));
+    values.push(limit + 1, offset);
 
     const result = await query(queryText, values);
+    const { page, pagination } = paginate(result.rows, {
+      limit,
+      sort,
+      order,
+      total: parseInt(countResult.rows[0].total)
+    });
 
     res.json({
-      sessions: result.rows.map(session => ({
+      sessions: page.map(session => ({
         id: session.id,
         sessionDate: session.session_date,
         startTime: session.start_time,
         duration: session.duration,
         notes: session.notes,
+        tags: session.tags,
+        attachments: session.attachments,
+        tasks: session.tasks,
         createdAt: session.created_at,
         updatedAt: session.updated_at,
         subject: {
           name: session.subject_name,
           color: session.subject_color
         }
-      }))
+      })),
+      pagination
     });
 
   } catch (error) {
@@ -87,14 +199,435 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Create a new study session
+// Overlapping sessions already saved (e.g. before overlaps were rejected or
+// with allow_overlap), and with include_tasks=true sessions overlapping
+// timed tasks
+router.get('/conflicts', [
+  authenticateToken,
+  queryValidator('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  queryValidator('end_date').optional().isISO8601().withMessage('Valid end date required'),
+  queryValidator('include_tasks').optional().isBoolean().withMessage('include_tasks must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const conflicts = await findConflictPairs(req.user.id, {
+      startDate: req.query.start_date,
+      endDate: req.query.end_date,
+      includeTasks: req.query.include_tasks === 'true'
+    });
+
+    res.json({ conflicts });
+
+  } catch (error) {
+    console.error('Get session conflicts error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Link the tasks a new session worked on and, with `completeTasks`, complete
+// them. Returns the links and, when completing, the outcome per task to
+// spread into the response.
+const linkTasks = async (req, sessionId, taskLinks, completeTasks, client) => {
+  const tasks = await replaceSessionTasks(sessionId, taskLinks, client);
+  if (!completeTasks) {
+    return { tasks, completion: {} };
+  }
+
+  const completedTasks = await completeSessionTasks(actorFromRequest(req), req.user.id, sessionId, client);
+  const completedIds = new Set(completedTasks.filter(task => task.status === 'completed').map(task => task.id));
+
+  return {
+    tasks: tasks.map(task => ({ ...task, completed: task.completed || completedIds.has(task.id) })),
+    completion: { completedTasks }
+  };
+};
+
+// Run `handler(client, live, now)` on the user's live session in a
+// transaction. The handler returns [status, body] and may end the session.
+const withLiveSession = async (req, res, handler) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const now = new Date();
+    const live = await loadLiveSession(client, req.user.id, now);
+
+    if (!live) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'No study session is in progress' });
+    }
+
+    const [status, body] = await handler(client, live, now);
+
+    await client.query('COMMIT');
+    res.status(status).json(body);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Start a live study session timed in Pomodoro cycles (see utils/pomodoro.js)
+// using the user's cycle lengths. A user has one live session at a time.
+router.post('/start', [
+  authenticateToken,
+  body('subjectId').isUUID().withMessage('Valid subject ID is required'),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+  body('tagIds').optional().isArray().withMessage('Tag IDs must be an array'),
+  body('tagIds.*').isUUID().withMessage('Invalid tag ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { subjectId, notes, tagIds = [] } = req.body;
+
+    // Verify subject belongs to user
+    const subjectCheck = await query(
+      'SELECT id, archived_at FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [subjectId, req.user.id]
+    );
+
+    if (subjectCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    if (subjectCheck.rows[0].archived_at) {
+      return res.status(409).json({ message: 'Subject is archived. Unarchive it first.' });
+    }
+
+    if (!(await userOwnsTags(req.user.id, tagIds))) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const preferences = await getUserPreferences(req.user.id);
+    const client = await getClient();
+    let live;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO live_sessions (
+          user_id, subject_id, notes, tag_ids,
+          work_minutes, short_break_minutes, long_break_minutes, long_break_every
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (user_id) DO NOTHING
+        RETURNING id
+      `, [
+        req.user.id,
+        subjectId,
+        notes,
+        [...new Set(tagIds)],
+        preferences.pomodoro_work_minutes,
+        preferences.pomodoro_short_break_minutes,
+        preferences.pomodoro_long_break_minutes,
+        preferences.pomodoro_long_break_every
+      ]);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: 'A study session is already in progress' });
+      }
+
+      await client.query(`
+        INSERT INTO session_intervals (live_session_id, phase, cycle, started_at)
+        SELECT id, 'work', 1, started_at FROM live_sessions WHERE id = $1
+      `, [result.rows[0].id]);
+
+      live = await loadLiveSession(client, req.user.id, new Date());
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({
+      message: 'Study session started',
+      live: formatLiveSession(live.session, live.intervals, new Date())
+    });
+
+  } catch (error) {
+    console.error('Start live session error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get the live study session, if any, with its current phase
+router.get('/live', authenticateToken, async (req, res) => {
+  try {
+    const client = await getClient();
+    let live;
+    let now;
+
+    try {
+      await client.query('BEGIN');
+      now = new Date();
+      live = await loadLiveSession(client, req.user.id, now);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ live: live ? formatLiveSession(live.session, live.intervals, now) : null });
+
+  } catch (error) {
+    console.error('Get live session error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Pause the live session; the current phase keeps its remaining time
+router.post('/pause', authenticateToken, async (req, res) => {
+  try {
+    await withLiveSession(req, res, async (client, { session, intervals }, now) => {
+      const last = intervals[intervals.length - 1];
+      if (last.ended_at) {
+        return [409, { message: 'Study session is already paused' }];
+      }
+
+      await client.query(
+        'UPDATE session_intervals SET ended_at = $1 WHERE live_session_id = $2 AND ended_at IS NULL',
+        [now, session.id]
+      );
+      last.ended_at = now;
+
+      return [200, {
+        message: 'Study session paused',
+        live: formatLiveSession(session, intervals, now)
+      }];
+    });
+
+  } catch (error) {
+    console.error('Pause live session error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Resume a paused live session in the phase it was paused in
+router.post('/resume', authenticateToken, async (req, res) => {
+  try {
+    await withLiveSession(req, res, async (client, { session, intervals }, now) => {
+      const last = intervals[intervals.length - 1];
+      if (!last.ended_at) {
+        return [409, { message: 'Study session is not paused' }];
+      }
+      if (now - session.started_at >= MAX_LIVE_SESSION_HOURS * 60 * 60 * 1000) {
+        return [409, { message: `Study sessions can run for at most ${MAX_LIVE_SESSION_HOURS} hours. Stop this one to save it.` }];
+      }
+
+      await client.query(`
+        INSERT INTO session_intervals (live_session_id, phase, cycle, started_at)
+        VALUES ($1, $2, $3, $4)
+      `, [session.id, last.phase, last.cycle, now]);
+      intervals.push({ phase: last.phase, cycle: last.cycle, started_at: now, ended_at: null });
+
+      return [200, {
+        message: 'Study session resumed',
+        live: formatLiveSession(session, intervals, now)
+      }];
+    });
+
+  } catch (error) {
+    console.error('Resume live session error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Stop the live session and save it as a study session whose duration is the
+// time actually spent working. Its intervals stay attached to the saved session.
+// An overlap with another session is rejected with 409 like in POST / and the
+// session keeps running until it is stopped with allow_overlap or discarded.
+router.post('/stop', [
+  authenticateToken,
+  body('tasks').optional().isArray().withMessage('Tasks must be an array').bail().custom(validateTaskLinks),
+  body('tasks.*.taskId').isUUID().withMessage('Invalid task ID'),
+  body('tasks.*.minutes').isInt({ min: 1, max: MAX_SESSION_MINUTES }).withMessage(`Task minutes must be between 1 and ${MAX_SESSION_MINUTES}`).toInt(),
+  body('completeTasks').optional().isBoolean().toBoolean().withMessage('Complete tasks must be a boolean'),
+  queryValidator('allow_overlap').optional().isBoolean().withMessage('allow_overlap must be true or false'),
+  queryValidator('include_tasks').optional().isBoolean().withMessage('include_tasks must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { tasks: taskLinks = [], completeTasks = false } = req.body;
+    const preferences = await getUserPreferences(req.user.id);
+
+    await withLiveSession(req, res, async (client, { session, intervals }, now) => {
+      const { workMinutes, breakMinutes } = sumMinutes(intervals, now);
+      if (workMinutes < 1) {
+        return [400, { message: 'Less than a minute of work was recorded. Discard the session instead.' }];
+      }
+
+      if (allocatedMinutes(taskLinks) > workMinutes) {
+        return [400, { message: `Minutes allocated to tasks exceed the ${workMinutes} minutes worked` }];
+      }
+
+      if (!(await userOwnsTasks(req.user.id, taskLinks, client))) {
+        return [404, { message: 'Task not found' }];
+      }
+
+      const subjectCheck = await client.query(
+        'SELECT id FROM subjects WHERE id = $1 AND deleted_at IS NULL',
+        [session.subject_id]
+      );
+
+      if (subjectCheck.rows.length === 0) {
+        return [409, { message: 'The subject of this session is in the trash. Restore it first or discard the session.' }];
+      }
+
+      // The session is dated where it started, in the user's timezone
+      const startResult = await client.query(`
+        SELECT
+          ($1::timestamptz AT TIME ZONE $2)::date as session_date,
+          date_trunc('minute', $1::timestamptz AT TIME ZONE $2)::time as start_time
+      `, [session.started_at, preferences.timezone]);
+      const sessionDate = toDateString(startResult.rows[0].session_date);
+      const { start_time: startTime } = startResult.rows[0];
+
+      // Saved sessions must not overlap like manually logged ones (see POST /)
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+      if (req.query.allow_overlap !== 'true') {
+        const conflicts = await findSessionConflicts(req.user.id, {
+          sessionDate,
+          startTime,
+          duration: workMinutes,
+          includeTasks: req.query.include_tasks === 'true'
+        }, client);
+
+        if (conflicts.length > 0) {
+          return [409, {
+            message: 'Study session overlaps existing items. Pass allow_overlap=true to save it anyway.',
+            conflicts
+          }];
+        }
+      }
+
+      await client.query(
+        'UPDATE session_intervals SET ended_at = $1 WHERE live_session_id = $2 AND ended_at IS NULL',
+        [now, session.id]
+      );
+
+      const result = await client.query(`
+        INSERT INTO study_sessions (user_id, subject_id, session_date, start_time, duration, notes)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, session_date, start_time, duration, notes, created_at, updated_at
+      `, [req.user.id, session.subject_id, sessionDate, startTime, workMinutes, session.notes]);
+
+      const saved = result.rows[0];
+
+      // Tags deleted while the session ran are dropped
+      const tags = await client.query('SELECT id FROM tags WHERE id = ANY($1) AND user_id = $2', [session.tag_ids, req.user.id]);
+      const sessionTags = await replaceTags('session', saved.id, tags.rows.map(tag => tag.id), client);
+      const linked = await linkTasks(req, saved.id, taskLinks, completeTasks, client);
+
+      await client.query(
+        'UPDATE session_intervals SET session_id = $1, live_session_id = NULL WHERE live_session_id = $2',
+        [saved.id, session.id]
+      );
+      await client.query('DELETE FROM live_sessions WHERE id = $1', [session.id]);
+
+      const last = intervals[intervals.length - 1];
+      if (!last.ended_at) {
+        last.ended_at = now;
+      }
+
+      return [201, {
+        message: 'Study session saved',
+        session: {
+          id: saved.id,
+          sessionDate: saved.session_date,
+          startTime: saved.start_time,
+          duration: saved.duration,
+          notes: saved.notes,
+          tags: sessionTags,
+          attachments: [],
+          tasks: linked.tasks,
+          createdAt: saved.created_at,
+          updatedAt: saved.updated_at
+        },
+        ...linked.completion,
+        pomodoro: {
+          workMinutes,
+          breakMinutes,
+          intervals: intervals.map(formatInterval)
+        }
+      }];
+    });
+
+  } catch (error) {
+    console.error('Stop live session error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Discard the live session without saving it
+router.delete('/live', authenticateToken, async (req, res) => {
+  try {
+    const result = await query('DELETE FROM live_sessions WHERE user_id = $1 RETURNING id', [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'No study session is in progress' });
+    }
+
+    res.json({ message: 'Study session discarded' });
+
+  } catch (error) {
+    console.error('Discard live session error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create a new study session. Sessions overlapping another session of the
+// user (and with include_tasks=true a timed task) are rejected with 409
+// unless allow_overlap=true.
 router.post('/', [
   authenticateToken,
   body('subjectId').isUUID().withMessage('Valid subject ID is required'),
   body('sessionDate').isISO8601().withMessage('Valid session date is required'),
   body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required (HH:MM)'),
-  body('duration').isInt({ min: 1 }).withMessage('Duration must be a positive integer (minutes)'),
-  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+  body('duration').isInt({ min: 1, max: MAX_SESSION_MINUTES }).withMessage(`Duration must be between 1 and ${MAX_SESSION_MINUTES} minutes`),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+  body('tagIds').optional().isArray().withMessage('Tag IDs must be an array'),
+  body('tagIds.*').isUUID().withMessage('Invalid tag ID'),
+  body('tasks').optional().isArray().withMessage('Tasks must be an array').bail().custom(validateTaskLinks),
+  body('tasks.*.taskId').isUUID().withMessage('Invalid task ID'),
+  body('tasks.*.minutes').isInt({ min: 1, max: MAX_SESSION_MINUTES }).withMessage(`Task minutes must be between 1 and ${MAX_SESSION_MINUTES}`).toInt(),
+  body('completeTasks').optional().isBoolean().toBoolean().withMessage('Complete tasks must be a boolean'),
+  queryValidator('allow_overlap').optional().isBoolean().withMessage('allow_overlap must be true or false'),
+  queryValidator('include_tasks').optional().isBoolean().withMessage('include_tasks must be true or false')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -106,11 +639,11 @@ router.post('/', [
       });
     }
 
-    const { subjectId, sessionDate, startTime, duration, notes } = req.body;
+    const { subjectId, sessionDate, startTime, duration, notes, tagIds = [], tasks: taskLinks = [], completeTasks = false } = req.body;
 
     // Verify subject belongs to user
     const subjectCheck = await query(
-      'SELECT id FROM subjects WHERE id = $1 AND user_id = $2',
+      'SELECT id, archived_at FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [subjectId, req.user.id]
     );
 
@@ -118,14 +651,69 @@ router.post('/', [
       return res.status(404).json({ message: 'Subject not found' });
     }
 
-    // Create the study session
-    const result = await query(`
-      INSERT INTO study_sessions (user_id, subject_id, session_date, start_time, duration, notes)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING id, session_date, start_time, duration, notes, created_at, updated_at
-    `, [req.user.id, subjectId, sessionDate, startTime, duration, notes]);
+    if (subjectCheck.rows[0].archived_at) {
+      return res.status(409).json({ message: 'Subject is archived. Unarchive it first.' });
+    }
+
+    if (!(await userOwnsTags(req.user.id, tagIds))) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    if (allocatedMinutes(taskLinks) > duration) {
+      return res.status(400).json({ message: 'Minutes allocated to tasks exceed the session duration' });
+    }
 
-    const session = result.rows[0];
+    if (!(await userOwnsTasks(req.user.id, taskLinks))) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const client = await getClient();
+    let session;
+    let sessionTags;
+    let linked;
+
+    try {
+      await client.query('BEGIN');
+
+      // Serialize the user's session writes so two overlapping sessions
+      // cannot both pass the check
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+      if (req.query.allow_overlap !== 'true') {
+        const conflicts = await findSessionConflicts(req.user.id, {
+          sessionDate,
+          startTime,
+          duration,
+          includeTasks: req.query.include_tasks === 'true'
+        }, client);
+
+        if (conflicts.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            message: 'Study session overlaps existing items. Pass allow_overlap=true to save it anyway.',
+            conflicts
+          });
+        }
+      }
+
+      // Create the study session
+      const result = await client.query(`
+        INSERT INTO study_sessions (user_id, subject_id, session_date, start_time, duration, notes)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, session_date, start_time, duration, notes, created_at, updated_at
+      `, [req.user.id, subjectId, sessionDate, startTime, duration, notes]);
+
+      session = result.rows[0];
+      sessionTags = await replaceTags('session', session.id, tagIds, client);
+      linked = await linkTasks(req, session.id, taskLinks, completeTasks, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.status(201).json({
       message: 'Study session created successfully',
@@ -135,9 +723,13 @@ router.post('/', [
         startTime: session.start_time,
         duration: session.duration,
         notes: session.notes,
+        tags: sessionTags,
+        attachments: [],
+        tasks: linked.tasks,
         createdAt: session.created_at,
         updatedAt: session.updated_at
-      }
+      },
+      ...linked.completion
     });
 
   } catch (error) {
@@ -146,15 +738,23 @@ router.post('/', [
   }
 });
 
-// Update a study session
+// Update a study session. Moving or resizing it is checked for overlaps
+// like creating one.
 router.put('/:id', [
   authenticateToken,
   param('id').isUUID().withMessage('Invalid session ID'),
   body('subjectId').optional().isUUID().withMessage('Valid subject ID is required'),
   body('sessionDate').optional().isISO8601().withMessage('Valid session date is required'),
   body('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required (HH:MM)'),
-  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be a positive integer (minutes)'),
-  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+  body('duration').optional().isInt({ min: 1, max: MAX_SESSION_MINUTES }).withMessage(`Duration must be between 1 and ${MAX_SESSION_MINUTES} minutes`),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+  body('tagIds').optional().isArray().withMessage('Tag IDs must be an array'),
+  body('tagIds.*').isUUID().withMessage('Invalid tag ID'),
+  body('tasks').optional().isArray().withMessage('Tasks must be an array').bail().custom(validateTaskLinks),
+  body('tasks.*.taskId').isUUID().withMessage('Invalid task ID'),
+  body('tasks.*.minutes').isInt({ min: 1, max: MAX_SESSION_MINUTES }).withMessage(`Task minutes must be between 1 and ${MAX_SESSION_MINUTES}`).toInt(),
+  queryValidator('allow_overlap').optional().isBoolean().withMessage('allow_overlap must be true or false'),
+  queryValidator('include_tasks').optional().isBoolean().withMessage('include_tasks must be true or false')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -167,11 +767,11 @@ router.put('/:id', [
     }
 
     const { id } = req.params;
-    const { subjectId, sessionDate, startTime, duration, notes } = req.body;
+    const { subjectId, sessionDate, startTime, duration, notes, tagIds, tasks: taskLinks } = req.body;
 
     // Check if session exists and belongs to user
     const existingSession = await query(
-      'SELECT id FROM study_sessions WHERE id = $1 AND user_id = $2',
+      'SELECT id, subject_id, session_date, start_time, duration FROM study_sessions WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [id, req.user.id]
     );
 
@@ -182,13 +782,36 @@ router.put('/:id', [
     // If subjectId is being updated, verify it belongs to user
     if (subjectId) {
       const subjectCheck = await query(
-        'SELECT id FROM subjects WHERE id = $1 AND user_id = $2',
+        'SELECT id, archived_at FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
         [subjectId, req.user.id]
       );
 
       if (subjectCheck.rows.length === 0) {
         return res.status(404).json({ message: 'Subject not found' });
       }
+
+      if (subjectCheck.rows[0].archived_at && subjectId !== existingSession.rows[0].subject_id) {
+        return res.status(409).json({ message: 'Subject is archived. Unarchive it first.' });
+      }
+    }
+
+    if (tagIds && !(await userOwnsTags(req.user.id, tagIds))) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    // Linked task minutes must still fit when either side changes
+    if (taskLinks !== undefined || duration !== undefined) {
+      const allocated = taskLinks !== undefined
+        ? allocatedMinutes(taskLinks)
+        : (await query('SELECT COALESCE(SUM(minutes), 0)::int as minutes FROM session_tasks WHERE session_id = $1', [id])).rows[0].minutes;
+
+      if (allocated > (duration || existingSession.rows[0].duration)) {
+        return res.status(400).json({ message: 'Minutes allocated to tasks exceed the session duration' });
+      }
+    }
+
+    if (taskLinks && !(await userOwnsTasks(req.user.id, taskLinks))) {
+      return res.status(404).json({ message: 'Task not found' });
     }
 
     // Build update query dynamically
@@ -217,20 +840,65 @@ router.put('/:id', [
       values.push(notes);
     }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && tagIds === undefined && taskLinks === undefined) {
       return res.status(400).json({ message: 'No fields to update' });
     }
 
-    values.push(id, req.user.id);
-    const updateQuery = `
-      UPDATE study_sessions
-      SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $${paramCount++} AND user_id = $${paramCount++}
-      RETURNING id, session_date, start_time, duration, notes, created_at, updated_at
-    `;
+    const rescheduled = sessionDate !== undefined || startTime !== undefined || duration !== undefined;
+    const client = await getClient();
+    let session;
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+      if (rescheduled && req.query.allow_overlap !== 'true') {
+        const current = existingSession.rows[0];
+        const conflicts = await findSessionConflicts(req.user.id, {
+          sessionDate: sessionDate || toDateString(current.session_date),
+          startTime: startTime || current.start_time,
+          duration: duration || current.duration,
+          excludeId: id,
+          includeTasks: req.query.include_tasks === 'true'
+        }, client);
+
+        if (conflicts.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            message: 'Study session overlaps existing items. Pass allow_overlap=true to save it anyway.',
+            conflicts
+          });
+        }
+      }
+
+      if (tagIds !== undefined) {
+        await replaceTags('session', id, tagIds, client);
+      }
 
-    const result = await query(updateQuery, values);
-    const session = result.rows[0];
+      if (taskLinks !== undefined) {
+        await replaceSessionTasks(id, taskLinks, client);
+      }
+
+      values.push(id, req.user.id);
+      const updateQuery = `
+        UPDATE study_sessions
+        SET ${[...updates, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+        WHERE id = $${paramCount++} AND user_id = $${paramCount++}
+        RETURNING
+          id, session_date, start_time, duration, notes, created_at, updated_at,
+          ${tagsSql('session', 'id')}, ${attachmentsSql('session', 'id')}, ${sessionTasksSql('study_sessions.id')}
+      `;
+
+      const result = await client.query(updateQuery, values);
+      session = result.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.json({
       message: 'Study session updated successfully',
@@ -240,6 +908,9 @@ router.put('/:id', [
         startTime: session.start_time,
         duration: session.duration,
         notes: session.notes,
+        tags: session.tags,
+        attachments: session.attachments,
+        tasks: session.tasks,
         createdAt: session.created_at,
         updatedAt: session.updated_at
       }
@@ -251,7 +922,7 @@ router.put('/:id', [
   }
 });
 
-// Delete a study session
+// Delete a study session (moves it to the trash, see routes/trash.js)
 router.delete('/:id', [
   authenticateToken,
   param('id').isUUID().withMessage('Invalid session ID')
@@ -270,7 +941,7 @@ router.delete('/:id', [
 
     // Check if session exists and belongs to user
     const existingSession = await query(
-      'SELECT id FROM study_sessions WHERE id = $1 AND user_id = $2',
+      'SELECT id FROM study_sessions WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [id, req.user.id]
     );
 
@@ -278,10 +949,20 @@ router.delete('/:id', [
       return res.status(404).json({ message: 'Study session not found' });
     }
 
-    // Delete the session
-    await query('DELETE FROM study_sessions WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+    // Move the session to the trash
+    const result = await query(
+      'UPDATE study_sessions SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 RETURNING deleted_at',
+      [id, req.user.id]
+    );
 
-    res.json({ message: 'Study session deleted successfully' });
+    res.json({
+      message: 'Study session moved to trash',
+      session: {
+        id,
+        deletedAt: result.rows[0].deleted_at,
+        purgeAt: purgeDate(result.rows[0].deleted_at)
+      }
+    });
 
   } catch (error) {
     console.error('Delete study session error:', error);
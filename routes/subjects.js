@@ -1,26 +1,81 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { body, param, query: queryValidator, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { purgeDate } = require('../utils/trash');
+const { actorFromRequest, recordTaskHistory } = require('../utils/history');
 
 const router = express.Router();
 
-// Get all subjects for the authenticated user
-router.get('/', authenticateToken, async (req, res) => {
+const DELETE_MODES = ['trash', 'reassign', 'archive', 'cascade'];
+
+const formatSubject = (subject) => ({
+  id: subject.id,
+  name: subject.name,
+  color: subject.color,
+  archived: subject.archived_at !== null,
+  archivedAt: subject.archived_at,
+  createdAt: subject.created_at,
+  updatedAt: subject.updated_at
+});
+
+// Active, unarchived subject of the user that tasks and sessions can be moved to
+const getTargetSubject = async (targetId, userId) => {
+  const result = await query(
+    'SELECT id, name, color, archived_at, created_at, updated_at FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+    [targetId, userId]
+  );
+
+  return result.rows[0];
+};
+
+// Move every task and session of a subject, trashed ones included, to another
+// subject. The task moves are logged as made by `actor`.
+const moveSubjectItems = async (client, fromId, toId, actor) => {
+  const tasks = await client.query(
+    'UPDATE tasks SET subject_id = $1, updated_at = CURRENT_TIMESTAMP WHERE subject_id = $2 RETURNING id, user_id, title',
+    [toId, fromId]
+  );
+  await recordTaskHistory(actor, tasks.rows.map(task => ({
+    task,
+    action: 'update',
+    changes: { subjectId: { from: fromId, to: toId } }
+  })), client);
+  const sessions = await client.query(
+    'UPDATE study_sessions SET subject_id = $1, updated_at = CURRENT_TIMESTAMP WHERE subject_id = $2',
+    [toId, fromId]
+  );
+  await client.query('UPDATE live_sessions SET subject_id = $1 WHERE subject_id = $2', [toId, fromId]);
+
+  return { tasks: tasks.rowCount, sessions: sessions.rowCount };
+};
+
+// Get all subjects for the authenticated user (archived ones on request)
+router.get('/', [
+  authenticateToken,
+  queryValidator('include_archived').optional().isBoolean().withMessage('include_archived must be true or false')
+], async (req, res) => {
   try {
-    const result = await query(
-      'SELECT id, name, color, created_at, updated_at FROM subjects WHERE user_id = $1 ORDER BY name',
-      [req.user.id]
-    );
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const includeArchived = req.query.include_archived === 'true';
+
+    const result = await query(`
+      SELECT id, name, color, archived_at, created_at, updated_at
+      FROM subjects
+      WHERE user_id = $1 AND deleted_at IS NULL${includeArchived ? '' : ' AND archived_at IS NULL'}
+      ORDER BY name
+    `, [req.user.id]);
 
     res.json({
-      subjects: result.rows.map(subject => ({
-        id: subject.id,
-        name: subject.name,
-        color: subject.color,
-        createdAt: subject.created_at,
-        updatedAt: subject.updated_at
-      }))
+      subjects: result.rows.map(formatSubject)
     });
 
   } catch (error) {
@@ -49,7 +104,7 @@ router.post('/', [
 
     // Check if subject with same name already exists for this user
     const existingSubject = await query(
-      'SELECT id FROM subjects WHERE user_id = $1 AND name = $2',
+      'SELECT id FROM subjects WHERE user_id = $1 AND name = $2 AND deleted_at IS NULL',
       [req.user.id, name]
     );
 
@@ -59,21 +114,13 @@ router.post('/', [
 
     // Create the subject
     const result = await query(
-      'INSERT INTO subjects (user_id, name, color) VALUES ($1, $2, $3) RETURNING id, name, color, created_at, updated_at',
+      'INSERT INTO subjects (user_id, name, color) VALUES ($1, $2, $3) RETURNING id, name, color, archived_at, created_at, updated_at',
       [req.user.id, name, color]
     );
 
-    const subject = result.rows[0];
-
     res.status(201).json({
       message: 'Subject created successfully',
-      subject: {
-        id: subject.id,
-        name: subject.name,
-        color: subject.color,
-        createdAt: subject.created_at,
-        updatedAt: subject.updated_at
-      }
+      subject: formatSubject(result.rows[0])
     });
 
   } catch (error) {
@@ -87,7 +134,8 @@ router.put('/:id', [
   authenticateToken,
   param('id').isUUID().withMessage('Invalid subject ID'),
   body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Subject name must be 1-100 characters'),
-  body('color').optional().isLength({ min: 1, max: 50 }).withMessage('Color must be 1-50 characters')
+  body('color').optional().isLength({ min: 1, max: 50 }).withMessage('Color must be 1-50 characters'),
+  body('archived').optional().isBoolean().toBoolean().withMessage('Archived must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -100,11 +148,11 @@ router.put('/:id', [
     }
 
     const { id } = req.params;
-    const { name, color } = req.body;
+    const { name, color, archived } = req.body;
 
     // Check if subject exists and belongs to user
     const existingSubject = await query(
-      'SELECT id FROM subjects WHERE id = $1 AND user_id = $2',
+      'SELECT id FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [id, req.user.id]
     );
 
@@ -115,7 +163,7 @@ router.put('/:id', [
     // If name is being updated, check for duplicates
     if (name) {
       const duplicateCheck = await query(
-        'SELECT id FROM subjects WHERE user_id = $1 AND name = $2 AND id != $3',
+        'SELECT id FROM subjects WHERE user_id = $1 AND name = $2 AND id != $3 AND deleted_at IS NULL',
         [req.user.id, name, id]
       );
 
@@ -137,6 +185,9 @@ router.put('/:id', [
       updates.push(`color = $${paramCount++}`);
       values.push(color);
     }
+    if (archived !== undefined) {
+      updates.push(`archived_at = ${archived ? 'COALESCE(archived_at, CURRENT_TIMESTAMP)' : 'NULL'}`);
+    }
 
     if (updates.length === 0) {
       return res.status(400).json({ message: 'No fields to update' });
@@ -147,21 +198,14 @@ router.put('/:id', [
       UPDATE subjects
       SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $${paramCount++} AND user_id = $${paramCount++}
-      RETURNING id, name, color, created_at, updated_at
+      RETURNING id, name, color, archived_at, created_at, updated_at
     `;
 
     const result = await query(updateQuery, values);
-    const subject = result.rows[0];
 
     res.json({
       message: 'Subject updated successfully',
-      subject: {
-        id: subject.id,
-        name: subject.name,
-        color: subject.color,
-        createdAt: subject.created_at,
-        updatedAt: subject.updated_at
-      }
+      subject: formatSubject(result.rows[0])
     });
 
   } catch (error) {
@@ -170,10 +214,16 @@ router.put('/:id', [
   }
 });
 
-// Delete a subject
+// Delete a subject. `mode` decides what happens to its tasks and sessions:
+// 'trash' (default) only works for an empty subject, 'reassign' moves them to
+// `target_id` first, 'archive' hides the subject but keeps everything, and
+// 'cascade' trashes them together with the subject (requires `confirm=true`).
 router.delete('/:id', [
   authenticateToken,
-  param('id').isUUID().withMessage('Invalid subject ID')
+  param('id').isUUID().withMessage('Invalid subject ID'),
+  queryValidator('mode').optional().isIn(DELETE_MODES).withMessage(`Mode must be one of: ${DELETE_MODES.join(', ')}`),
+  queryValidator('target_id').optional().isUUID().withMessage('Invalid target subject ID'),
+  queryValidator('confirm').optional().isBoolean().withMessage('Confirm must be true or false')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -186,10 +236,11 @@ router.delete('/:id', [
     }
 
     const { id } = req.params;
+    const { mode = 'trash', target_id: targetId, confirm } = req.query;
 
     // Check if subject exists and belongs to user
     const existingSubject = await query(
-      'SELECT id FROM subjects WHERE id = $1 AND user_id = $2',
+      'SELECT id FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [id, req.user.id]
     );
 
@@ -197,22 +248,113 @@ router.delete('/:id', [
       return res.status(404).json({ message: 'Subject not found' });
     }
 
-    // Check if subject has associated tasks
-    const tasksCheck = await query(
-      'SELECT COUNT(*) as count FROM tasks WHERE subject_id = $1',
-      [id]
-    );
+    if (mode === 'archive') {
+      const result = await query(`
+        UPDATE subjects
+        SET archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, name, color, archived_at, created_at, updated_at
+      `, [id]);
+
+      return res.json({
+        message: 'Subject archived successfully',
+        subject: formatSubject(result.rows[0])
+      });
+    }
+
+    // Count what is still attached to the subject
+    const usage = await query(`
+      SELECT
+        (SELECT COUNT(*) FROM tasks WHERE subject_id = $1 AND deleted_at IS NULL) as task_count,
+        (SELECT COUNT(*) FROM study_sessions WHERE subject_id = $1 AND deleted_at IS NULL) as session_count
+    `, [id]);
+
+    const taskCount = parseInt(usage.rows[0].task_count);
+    const sessionCount = parseInt(usage.rows[0].session_count);
 
-    if (parseInt(tasksCheck.rows[0].count) > 0) {
+    if (mode === 'trash' && (taskCount > 0 || sessionCount > 0)) {
       return res.status(409).json({
-        message: 'Cannot delete subject with associated tasks. Please delete or reassign tasks first.'
+        message: 'Subject has tasks or study sessions. Reassign them, archive the subject or delete with mode=cascade.',
+        taskCount,
+        sessionCount
       });
     }
 
-    // Delete the subject
-    await query('DELETE FROM subjects WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+    if (mode === 'cascade' && confirm !== 'true') {
+      return res.status(400).json({
+        message: `Cascade delete also moves ${taskCount} tasks and ${sessionCount} study sessions to the trash. Repeat with confirm=true to proceed.`,
+        taskCount,
+        sessionCount
+      });
+    }
+
+    if (mode === 'reassign') {
+      if (!targetId) {
+        return res.status(400).json({ message: 'Target subject ID is required' });
+      }
+      if (targetId === id) {
+        return res.status(400).json({ message: 'Target subject must be a different subject' });
+      }
+
+      const target = await getTargetSubject(targetId, req.user.id);
+
+      if (!target) {
+        return res.status(404).json({ message: 'Target subject not found' });
+      }
+      if (target.archived_at) {
+        return res.status(409).json({ message: 'Target subject is archived. Unarchive it first.' });
+      }
+    }
+
+    // Move the subject to the trash. Items trashed along with it share its
+    // deleted_at so restoring the subject brings them back too.
+    const client = await getClient();
+    let deletedAt;
+    let moved;
+
+    try {
+      await client.query('BEGIN');
+
+      if (mode === 'reassign') {
+        moved = await moveSubjectItems(client, id, targetId, actorFromRequest(req));
+      }
+
+      const result = await client.query(
+        'UPDATE subjects SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 RETURNING deleted_at',
+        [id, req.user.id]
+      );
+      deletedAt = result.rows[0].deleted_at;
+
+      if (mode === 'cascade') {
+        const tasks = await client.query(
+          'UPDATE tasks SET deleted_at = $1 WHERE subject_id = $2 AND deleted_at IS NULL RETURNING id, user_id, title',
+          [deletedAt, id]
+        );
+        await recordTaskHistory(actorFromRequest(req), tasks.rows.map(task => ({ task, action: 'delete' })), client);
+        await client.query(
+          'UPDATE study_sessions SET deleted_at = $1 WHERE subject_id = $2 AND deleted_at IS NULL',
+          [deletedAt, id]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    res.json({ message: 'Subject deleted successfully' });
+    res.json({
+      message: 'Subject moved to trash',
+      subject: {
+        id,
+        deletedAt,
+        purgeAt: purgeDate(deletedAt)
+      },
+      ...(moved && { reassigned: { targetId, ...moved } }),
+      ...(mode === 'cascade' && { trashed: { tasks: taskCount, sessions: sessionCount } })
+    });
 
   } catch (error) {
     console.error('Delete subject error:', error);
@@ -220,4 +362,76 @@ router.delete('/:id', [
   }
 });
 
+// Merge a subject into another: its tasks and sessions move to the target
+// and the now empty subject is deleted
+router.post('/:id/merge', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid subject ID'),
+  body('targetId').isUUID().withMessage('Valid target subject ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { targetId } = req.body;
+
+    if (targetId === id) {
+      return res.status(400).json({ message: 'Cannot merge a subject into itself' });
+    }
+
+    // Check if subject exists and belongs to user
+    const existingSubject = await query(
+      'SELECT id FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (existingSubject.rows.length === 0) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const target = await getTargetSubject(targetId, req.user.id);
+
+    if (!target) {
+      return res.status(404).json({ message: 'Target subject not found' });
+    }
+    if (target.archived_at) {
+      return res.status(409).json({ message: 'Target subject is archived. Unarchive it first.' });
+    }
+
+    const client = await getClient();
+    let moved;
+
+    try {
+      await client.query('BEGIN');
+
+      moved = await moveSubjectItems(client, id, targetId, actorFromRequest(req));
+      await client.query('DELETE FROM subjects WHERE id = $1', [id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({
+      message: 'Subjects merged successfully',
+      subject: formatSubject(target),
+      moved
+    });
+
+  } catch (error) {
+    console.error('Merge subjects error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
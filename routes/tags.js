@@ -0,0 +1,197 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const formatTag = (tag) => ({
+  id: tag.id,
+  name: tag.name,
+  color: tag.color,
+  taskCount: tag.task_count !== undefined ? parseInt(tag.task_count) : undefined,
+  sessionCount: tag.session_count !== undefined ? parseInt(tag.session_count) : undefined,
+  createdAt: tag.created_at,
+  updatedAt: tag.updated_at
+});
+
+// Get all tags for the authenticated user with usage counts
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        tg.id, tg.name, tg.color, tg.created_at, tg.updated_at,
+        (SELECT COUNT(*) FROM task_tags tt JOIN tasks t ON tt.task_id = t.id WHERE tt.tag_id = tg.id AND t.deleted_at IS NULL) as task_count,
+        (SELECT COUNT(*) FROM session_tags st JOIN study_sessions ss ON st.session_id = ss.id WHERE st.tag_id = tg.id AND ss.deleted_at IS NULL) as session_count
+      FROM tags tg
+      WHERE tg.user_id = $1
+      ORDER BY tg.name
+    `, [req.user.id]);
+
+    res.json({
+      tags: result.rows.map(formatTag)
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create a new tag
+router.post('/', [
+  authenticateToken,
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Tag name must be 1-50 characters'),
+  body('color').optional().isLength({ min: 1, max: 50 }).withMessage('Color must be 1-50 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, color = 'gray-500' } = req.body;
+
+    // Check if tag with same name already exists for this user
+    const existingTag = await query(
+      'SELECT id FROM tags WHERE user_id = $1 AND name = $2',
+      [req.user.id, name]
+    );
+
+    if (existingTag.rows.length > 0) {
+      return res.status(409).json({ message: 'Tag with this name already exists' });
+    }
+
+    // Create the tag
+    const result = await query(
+      'INSERT INTO tags (user_id, name, color) VALUES ($1, $2, $3) RETURNING id, name, color, created_at, updated_at',
+      [req.user.id, name, color]
+    );
+
+    res.status(201).json({
+      message: 'Tag created successfully',
+      tag: formatTag(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update a tag
+router.put('/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid tag ID'),
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Tag name must be 1-50 characters'),
+  body('color').optional().isLength({ min: 1, max: 50 }).withMessage('Color must be 1-50 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, color } = req.body;
+
+    // Check if tag exists and belongs to user
+    const existingTag = await query(
+      'SELECT id FROM tags WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (existingTag.rows.length === 0) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    // If name is being updated, check for duplicates
+    if (name) {
+      const duplicateCheck = await query(
+        'SELECT id FROM tags WHERE user_id = $1 AND name = $2 AND id != $3',
+        [req.user.id, name, id]
+      );
+
+      if (duplicateCheck.rows.length > 0) {
+        return res.status(409).json({ message: 'Tag with this name already exists' });
+      }
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramCount++}`);
+      values.push(name);
+    }
+    if (color !== undefined) {
+      updates.push(`color = $${paramCount++}`);
+      values.push(color);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    values.push(id, req.user.id);
+    const result = await query(`
+      UPDATE tags
+      SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${paramCount++} AND user_id = $${paramCount++}
+      RETURNING id, name, color, created_at, updated_at
+    `, values);
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag: formatTag(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete a tag (it is removed from all tasks and sessions)
+router.delete('/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid tag ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM tags WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    res.json({ message: 'Tag deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,37 +1,284 @@
 const express = require('express');
 const { body, param, query: queryValidator, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { query, getClient } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { getUserPreferences, localDate } = require('../utils/preferences');
+const {
+  normalizeRule,
+  validateRecurrence,
+  toRRuleString,
+  expandOccurrences,
+  isOccurrence,
+  countOccurrencesBefore,
+  toDateString,
+  shiftDate
+} = require('../utils/recurrence');
+const { topologicalOrder } = require('../utils/dependencies');
+const { tagsSql, tagFilterSql, parseTagIds, validateTagIdList, userOwnsTags, replaceTags, UUID_PATTERN } = require('../utils/tags');
+const { attachmentsSql } = require('../utils/attachments');
+const { purgeDate } = require('../utils/trash');
+const { parseQuickAdd } = require('../utils/quickAdd');
+const { OVERDUE_CONDITION, rolloverOverdueTasks } = require('../utils/rollover');
+const { actorFromRequest, diffTask, recordTaskHistory, recordTaskUpdate, formatHistoryEntry } = require('../utils/history');
+const { MAX_ENTRY_MINUTES, stopRunningTimer, formatTimeEntry } = require('../utils/timeTracking');
+const { sessionTimeSql } = require('../utils/sessionTasks');
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseList,
+  listOf,
+  decodeCursor,
+  validateCursor,
+  cursorMatchesKeys,
+  keysetConditionSql,
+  cursorKeySql,
+  paginate
+} = require('../utils/pagination');
 
 const router = express.Router();
 
-// Get all tasks for the authenticated user with optional filtering
-router.get('/', authenticateToken, async (req, res) => {
+// Longest date range recurring tasks are expanded over in one request
+const MAX_EXPANSION_DAYS = 366;
+
+// Checklist item counts selected alongside a task (aliased as t)
+const CHECKLIST_COUNTS = `
+  (SELECT COUNT(*) FROM task_checklist_items c WHERE c.task_id = t.id)::int as checklist_total,
+  (SELECT COUNT(*) FROM task_checklist_items c WHERE c.task_id = t.id AND c.completed)::int as checklist_completed
+`;
+
+// Whether a task (aliased as t) has an open prerequisite
+const BLOCKED = `
+  EXISTS (
+    SELECT 1
+    FROM task_dependencies d
+    JOIN tasks p ON d.depends_on_id = p.id
+    WHERE d.task_id = t.id AND NOT p.completed AND p.deleted_at IS NULL
+  ) as blocked
+`;
+
+// Tracked time selected alongside a task (aliased as t): minutes of finished
+// time entries, the start of a running timer and minutes of linked study
+// sessions. Occurrences of a recurring task share the time tracked on the
+// series.
+const TIME_TRACKED = `
+  (SELECT COALESCE(SUM(e.minutes), 0) FROM task_time_entries e WHERE e.task_id = t.id)::int as actual_time,
+  (SELECT e.started_at FROM task_time_entries e WHERE e.task_id = t.id AND e.ended_at IS NULL) as timer_started_at,
+  ${sessionTimeSql('t.id')}
+`;
+
+// Derived checklist progress; progress is null for tasks without a checklist
+const formatChecklistProgress = (task) => ({
+  total: task.checklist_total,
+  completed: task.checklist_completed,
+  progress: task.checklist_total > 0
+    ? Math.round((task.checklist_completed / task.checklist_total) * 100)
+    : null
+});
+
+// Shape a task row (or an expanded occurrence of a recurring task) for the API
+const formatTask = (task) => ({
+  id: task.id,
+  title: task.title,
+  description: task.description,
+  dueDate: task.due_date,
+  dueTime: task.due_time,
+  priority: task.priority,
+  estimatedTime: task.estimated_time,
+  actualTime: task.actual_time,
+  timerStartedAt: task.timer_started_at,
+  sessionTime: task.session_time,
+  completed: task.completed,
+  completedAt: task.completed_at,
+  createdAt: task.created_at,
+  updatedAt: task.updated_at,
+  recurrence: task.recurrence,
+  rrule: task.recurrence ? toRRuleString(task.recurrence) : null,
+  occurrenceDate: task.occurrence_date || null,
+  autoComplete: task.auto_complete,
+  checklist: formatChecklistProgress(task),
+  blocked: task.blocked,
+  overdue: task.overdue,
+  rolloverCount: task.rollover_count,
+  tags: task.tags,
+  attachments: task.attachments,
+  subject: {
+    name: task.subject_name,
+    color: task.subject_color
+  }
+});
+
+// Expand recurring series into their occurrences within [startDate, endDate],
+// applying per-occurrence exceptions (skipped, moved or edited instances)
+const expandRecurringTasks = (seriesRows, exceptionRows, startDate, endDate) => {
+  const exceptions = new Map(
+    exceptionRows.map(exception => [`${exception.task_id}|${toDateString(exception.occurrence_date)}`, exception])
+  );
+  const occurrences = [];
+
+  const buildOccurrence = (task, occurrenceDate) => {
+    const exception = exceptions.get(`${task.id}|${occurrenceDate}`);
+    if (exception && exception.skipped) {
+      return null;
+    }
+
+    const override = (field) => (exception && exception[field] !== null ? exception[field] : task[field]);
+    const dueDate = exception && exception.due_date ? toDateString(exception.due_date) : occurrenceDate;
+    if (dueDate < startDate || dueDate > endDate) {
+      return null;
+    }
+
+    return {
+      ...task,
+      occurrence_date: occurrenceDate,
+      due_date: dueDate,
+      due_time: override('due_time'),
+      title: override('title'),
+      description: override('description'),
+      priority: override('priority'),
+      estimated_time: override('estimated_time'),
+      completed: exception ? exception.completed : false,
+      completed_at: exception ? exception.completed_at : null
+    };
+  };
+
+  for (const task of seriesRows) {
+    const seen = new Set();
+
+    for (const occurrenceDate of expandOccurrences(task.recurrence, task.due_date, startDate, endDate)) {
+      seen.add(occurrenceDate);
+      const occurrence = buildOccurrence(task, occurrenceDate);
+      if (occurrence) occurrences.push(occurrence);
+    }
+
+    // Occurrences from outside the range that were moved into it
+    for (const exception of exceptionRows) {
+      const occurrenceDate = toDateString(exception.occurrence_date);
+      if (exception.task_id !== task.id || seen.has(occurrenceDate) || !exception.due_date) continue;
+      if (!isOccurrence(task.recurrence, task.due_date, occurrenceDate)) continue;
+      const occurrence = buildOccurrence(task, occurrenceDate);
+      if (occurrence) occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences;
+};
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Sortable task fields with the expression they sort by and its SQL type (for
+// cursor values). Priorities sort by rank rather than alphabetically.
+const TASK_SORT_KEYS = {
+  due_date: { column: 't.due_date', type: 'date' },
+  created_at: { column: 't.created_at', type: 'timestamptz' },
+  priority: {
+    column: `(CASE t.priority ${PRIORITIES.map((priority, rank) => `WHEN '${priority}' THEN ${rank}`).join(' ')} END)`,
+    type: 'int'
+  },
+  title: { column: 't.title', type: 'varchar' }
+};
+
+// Get all tasks for the authenticated user with optional filtering.
+// With a date (or start_date and end_date) recurring tasks are expanded into
+// one entry per occurrence in that range; otherwise each series is listed once.
+// Pages are requested with `limit` and the `pagination.next` cursor of the
+// previous page (`offset` is still accepted but can skip or repeat tasks).
+router.get('/', [
+  authenticateToken,
+  queryValidator('date').optional().isISO8601().withMessage('Valid date required'),
+  queryValidator('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  queryValidator('end_date').optional().isISO8601().withMessage('Valid end date required'),
+  queryValidator('subject_id').optional().custom(listOf(id => UUID_PATTERN.test(id), 'Subject IDs must be a comma-separated list of UUIDs')),
+  queryValidator('completed').optional().isBoolean().withMessage('Completed must be true or false'),
+  queryValidator('overdue').optional().isBoolean().withMessage('Overdue must be true or false'),
+  queryValidator('priority').optional().custom(listOf(value => PRIORITIES.includes(value), 'Priority must be a comma-separated list of low, medium, high')),
+  queryValidator('tags').optional().custom(validateTagIdList),
+  queryValidator('tag_mode').optional().isIn(['any', 'all']).withMessage('Tag mode must be any or all'),
+  queryValidator('sort').optional().isIn(Object.keys(TASK_SORT_KEYS)).withMessage(`Sort must be one of: ${Object.keys(TASK_SORT_KEYS).join(', ')}`),
+  queryValidator('order').optional().toUpperCase().isIn(['ASC', 'DESC']).withMessage('Order must be asc or desc'),
+  queryValidator('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+  queryValidator('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+  queryValidator('cursor').optional().custom(validateCursor)
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const {
       date,
+      start_date,
+      end_date,
       subject_id,
       completed,
+      overdue,
       priority,
+      tags,
+      tag_mode = 'any',
       sort = 'due_date',
       order = 'ASC',
-      limit = 100,
-      offset = 0
+      cursor
     } = req.query;
+    const limit = parseInt(req.query.limit) || DEFAULT_LIMIT;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const startDate = date || start_date;
+    const endDate = date || end_date;
+    const expand = Boolean(startDate && endDate);
+
+    if (expand && (toDateString(endDate) < toDateString(startDate) || shiftDate(startDate, MAX_EXPANSION_DAYS) < toDateString(endDate))) {
+      return res.status(400).json({
+        message: `Date range must be in order and span at most ${MAX_EXPANSION_DAYS} days`
+      });
+    }
+
+    const sortKeys = [
+      TASK_SORT_KEYS[sort],
+      { column: 't.id', type: 'uuid' }
+    ];
+
+    // Cursors hold the sort key of the last task: [value, id] for plain lists
+    // and [value, id, occurrence date] for expanded ranges (compared in memory)
+    const after = cursor ? decodeCursor(cursor) : null;
+    const cursorFits = after && (expand ? after.after.length === 3 : cursorMatchesKeys(after.after, sortKeys));
+    if (after && (after.sort !== sort || after.order !== order || !cursorFits)) {
+      return res.status(400).json({ message: 'Cursor does not match the requested sort and order' });
+    }
+    if (after && offset) {
+      return res.status(400).json({ message: 'Use either cursor or offset, not both' });
+    }
+
+    const subjectIds = subject_id ? parseList(subject_id) : [];
+    const priorities = priority ? parseList(priority) : [];
 
     // Build query conditions
-    const conditions = ['t.user_id = $1'];
+    const conditions = ['t.user_id = $1', 't.deleted_at IS NULL'];
     const values = [req.user.id];
     let paramCount = 2;
 
-    if (date) {
-      conditions.push(`t.due_date = $${paramCount++}`);
-      values.push(date);
+    if (expand) {
+      conditions.push('t.recurrence IS NULL');
+      conditions.push(`t.due_date BETWEEN $${paramCount++} AND $${paramCount++}`);
+      values.push(startDate, endDate);
+    } else {
+      if (start_date) {
+        conditions.push(`t.due_date >= $${paramCount++}`);
+        values.push(start_date);
+      }
+
+      if (end_date) {
+        conditions.push(`t.due_date <= $${paramCount++}`);
+        values.push(end_date);
+      }
     }
 
-    if (subject_id) {
-      conditions.push(`t.subject_id = $${paramCount++}`);
-      values.push(subject_id);
+    if (subjectIds.length > 0) {
+      conditions.push(`t.subject_id = ANY($${paramCount++}::uuid[])`);
+      values.push(subjectIds);
     }
 
     if (completed !== undefined) {
@@ -39,69 +286,2043 @@ router.get('/', authenticateToken, async (req, res) => {
       values.push(completed === 'true');
     }
 
-    if (priority) {
-      conditions.push(`t.priority = $${paramCount++}`);
-      values.push(priority);
+    if (overdue !== undefined) {
+      conditions.push(overdue === 'true' ? OVERDUE_CONDITION : `NOT ${OVERDUE_CONDITION}`);
+    }
+
+    if (priorities.length > 0) {
+      conditions.push(`t.priority = ANY($${paramCount++})`);
+      values.push(priorities);
+    }
+
+    const tagIds = tags ? parseTagIds(tags) : [];
+    if (tagIds.length > 0) {
+      conditions.push(tagFilterSql('task', 't.id', `$${paramCount++}`, tag_mode));
+      values.push(tagIds);
+    }
+
+    const sortField = sort;
+    const sortOrder = order;
+
+    const selectColumns = `
+        t.id, t.title, t.description, t.due_date, t.due_time,
+        t.priority, t.estimated_time, t.completed, t.completed_at,
+        t.created_at, t.updated_at, t.recurrence, t.auto_complete, t.rollover_count,
+        s.name as subject_name, s.color as subject_color,
+        ${CHECKLIST_COUNTS},
+        ${BLOCKED},
+        ${TIME_TRACKED},
+        ${OVERDUE_CONDITION} as overdue,
+        ${tagsSql('task', 't.id')},
+        ${attachmentsSql('task', 't.id')}
+    `;
+
+    if (!expand) {
+      const countResult = await query(`
+        SELECT COUNT(*) as total
+        FROM tasks t
+        WHERE ${conditions.join(' AND ')}
+      `, values);
+
+      const pageConditions = [...conditions];
+      const pageValues = [...values];
+      if (after) {
+        pageConditions.push(keysetConditionSql(sortKeys, paramCount, sortOrder));
+        pageValues.push(...after.after);
+        paramCount += sortKeys.length;
+      }
+
+      const queryText = `
+        SELECT ${selectColumns}, ${cursorKeySql(sortKeys)}
+        FROM tasks t
+        JOIN subjects s ON t.subject_id = s.id
+        WHERE ${pageConditions.join(' AND ')}
+        ORDER BY ${sortKeys.map(key => `${key.column} ${sortOrder}`).join(', ')}
+        LIMIT $${paramCount++} OFFSET $${paramCount++}
+      `;
+
+      pageValues.push(limit + 1, offset);
+
+      const result = await query(queryText, pageValues);
+      const { page, pagination } = paginate(result.rows, {
+        limit,
+        sort,
+        order,
+        total: parseInt(countResult.rows[0].total)
+      });
+
+      return res.json({
+        tasks: page.map(formatTask),
+        pagination
+      });
+    }
+
+    // Single tasks in range
+    const singleResult = await query(`
+      SELECT ${selectColumns}
+      FROM tasks t
+      JOIN subjects s ON t.subject_id = s.id
+      WHERE ${conditions.join(' AND ')}
+    `, values);
+
+    // Recurring series that may have occurrences in range
+    const seriesConditions = ['t.user_id = $1', 't.deleted_at IS NULL', 't.recurrence IS NOT NULL', 't.due_date <= $2'];
+    const seriesValues = [req.user.id, endDate];
+    if (subjectIds.length > 0) {
+      seriesValues.push(subjectIds);
+      seriesConditions.push(`t.subject_id = ANY($${seriesValues.length}::uuid[])`);
+    }
+    if (tagIds.length > 0) {
+      seriesValues.push(tagIds);
+      seriesConditions.push(tagFilterSql('task', 't.id', `$${seriesValues.length}`, tag_mode));
+    }
+
+    const seriesResult = await query(`
+      SELECT ${selectColumns}
+      FROM tasks t
+      JOIN subjects s ON t.subject_id = s.id
+      WHERE ${seriesConditions.join(' AND ')}
+    `, seriesValues);
+
+    let occurrences = [];
+    if (seriesResult.rows.length > 0) {
+      const exceptionResult = await query(`
+        SELECT *
+        FROM task_occurrences
+        WHERE task_id = ANY($1)
+          AND (occurrence_date BETWEEN $2 AND $3 OR due_date BETWEEN $2 AND $3)
+      `, [seriesResult.rows.map(task => task.id), startDate, endDate]);
+
+      // Occurrences are overdue by their own due date
+      const preferences = await getUserPreferences(req.user.id);
+      const today = localDate(preferences.timezone);
+
+      occurrences = expandRecurringTasks(
+        seriesResult.rows,
+        exceptionResult.rows,
+        toDateString(startDate),
+        toDateString(endDate)
+      ).map(occurrence => ({
+        ...occurrence,
+        overdue: !occurrence.completed && toDateString(occurrence.due_date) < today
+      })).filter(occurrence =>
+        (completed === undefined || occurrence.completed === (completed === 'true')) &&
+        (overdue === undefined || occurrence.overdue === (overdue === 'true')) &&
+        (priorities.length === 0 || priorities.includes(occurrence.priority))
+      );
+    }
+
+    // Merge, sort and page in memory (the range bounds the result size).
+    // Occurrences of one series share an ID, so the occurrence date breaks ties.
+    const sortKey = (task) => {
+      let value = String(task[sortField]);
+      if (sortField === 'priority') value = String(PRIORITIES.indexOf(task.priority));
+      if (sortField === 'due_date') value = `${toDateString(task.due_date)} ${task.due_time || '99:99'}`;
+      if (sortField === 'created_at') value = new Date(task.created_at).toISOString();
+      return [value, task.id, task.occurrence_date || ''];
+    };
+    const compareKeys = (a, b) => {
+      for (let i = 0; i < a.length; i++) {
+        const difference = a[i].localeCompare(b[i]);
+        if (difference !== 0) return difference;
+      }
+      return 0;
+    };
+    const direction = sortOrder === 'DESC' ? -1 : 1;
+
+    const sorted = [...singleResult.rows, ...occurrences]
+      .sort((a, b) => compareKeys(sortKey(a), sortKey(b)) * direction);
+    const remaining = after
+      ? sorted.filter(task => compareKeys(sortKey(task), after.after) * direction > 0)
+      : sorted;
+
+    const { page, pagination } = paginate(remaining.slice(offset, offset + limit + 1), {
+      limit,
+      sort,
+      order,
+      total: sorted.length,
+      cursorKey: sortKey
+    });
+
+    res.json({
+      tasks: page.map(formatTask),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get the user's open tasks in an order that respects prerequisites:
+// every task comes after the tasks it depends on, ties broken by due date and priority
+router.get('/order', authenticateToken, async (req, res) => {
+  try {
+    const tasksResult = await query(`
+      SELECT
+        t.id, t.title, t.due_date, t.due_time, t.priority, t.estimated_time,
+        s.name as subject_name, s.color as subject_color,
+        ${BLOCKED}
+      FROM tasks t
+      JOIN subjects s ON t.subject_id = s.id
+      WHERE t.user_id = $1 AND NOT t.completed AND t.recurrence IS NULL AND t.deleted_at IS NULL
+    `, [req.user.id]);
+
+    const edgesResult = await query(`
+      SELECT d.task_id, d.depends_on_id
+      FROM task_dependencies d
+      JOIN tasks t ON d.task_id = t.id
+      JOIN tasks p ON d.depends_on_id = p.id
+      WHERE t.user_id = $1 AND t.deleted_at IS NULL AND p.deleted_at IS NULL
+    `, [req.user.id]);
+
+    const prerequisiteIds = new Map();
+    for (const edge of edgesResult.rows) {
+      prerequisiteIds.set(edge.task_id, [...(prerequisiteIds.get(edge.task_id) || []), edge.depends_on_id]);
+    }
+
+    const tasks = tasksResult.rows.map(task => ({
+      id: task.id,
+      title: task.title,
+      dueDate: toDateString(task.due_date),
+      dueTime: task.due_time,
+      priority: task.priority,
+      estimatedTime: task.estimated_time,
+      blocked: task.blocked,
+      prerequisiteIds: prerequisiteIds.get(task.id) || [],
+      subject: {
+        name: task.subject_name,
+        color: task.subject_color
+      }
+    }));
+
+    const edges = edgesResult.rows.map(edge => ({ taskId: edge.task_id, dependsOnId: edge.depends_on_id }));
+
+    res.json({
+      tasks: topologicalOrder(tasks, edges)
+    });
+
+  } catch (error) {
+    console.error('Get task order error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// The user's running timer, so clients can resume showing it after a reload
+router.get('/timer', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT e.*, t.title as task_title
+      FROM task_time_entries e
+      JOIN tasks t ON e.task_id = t.id
+      WHERE e.user_id = $1 AND e.ended_at IS NULL AND t.deleted_at IS NULL
+    `, [req.user.id]);
+
+    const timer = result.rows[0];
+
+    res.json({
+      timer: timer ? { ...formatTimeEntry(timer), taskTitle: timer.task_title } : null
+    });
+
+  } catch (error) {
+    console.error('Get timer error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Actions supported by PATCH /bulk
+const BULK_ACTIONS = ['complete', 'uncomplete', 'reschedule', 'priority', 'move', 'delete'];
+const MAX_BULK_TASKS = 500;
+
+// Apply one bulk action to a task inside the bulk transaction.
+// Returns the per-item result; status 'failed' aborts the whole operation.
+const applyBulkAction = async (client, task, action, options) => {
+  const result = { id: task.id, title: task.title };
+
+  // Deleted tasks go to the trash like single deletes
+  if (action === 'delete') {
+    await client.query('UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [task.id]);
+    await recordTaskHistory(options.actor, { task, action: 'delete' }, client);
+    await stopRunningTimer(task.user_id, { taskId: task.id }, client);
+    return { ...result, status: 'deleted' };
+  }
+
+  if ((action === 'complete' || action === 'uncomplete') && task.recurrence) {
+    return { ...result, status: 'skipped', reason: 'Recurring tasks are completed per occurrence' };
+  }
+
+  if (action === 'complete') {
+    if (task.completed) {
+      return { ...result, status: 'unchanged' };
+    }
+
+    // Prerequisites completed in the same batch do not block
+    const blockers = options.openPrerequisites.get(task.id) || [];
+    if (blockers.some(prerequisiteId => !options.completingIds.has(prerequisiteId)) && !options.force) {
+      return { ...result, status: 'failed', reason: 'Task has open prerequisites' };
+    }
+
+    await client.query(
+      'UPDATE tasks SET completed = true, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [task.id]
+    );
+    await recordTaskHistory(options.actor, {
+      task,
+      action: 'complete',
+      changes: { completed: { from: false, to: true } }
+    }, client);
+    await stopRunningTimer(task.user_id, { taskId: task.id }, client);
+    return { ...result, status: 'updated', completed: true };
+  }
+
+  if (action === 'uncomplete') {
+    if (!task.completed) {
+      return { ...result, status: 'unchanged' };
+    }
+
+    await client.query(
+      'UPDATE tasks SET completed = false, completed_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [task.id]
+    );
+    await recordTaskHistory(options.actor, {
+      task,
+      action: 'uncomplete',
+      changes: { completed: { from: true, to: false } }
+    }, client);
+    return { ...result, status: 'updated', completed: false };
+  }
+
+  if (action === 'reschedule') {
+    const currentDate = toDateString(task.due_date);
+    const dueDate = options.dueDate ? toDateString(options.dueDate) : shiftDate(currentDate, options.shiftDays);
+
+    if (dueDate === currentDate) {
+      return { ...result, status: 'unchanged' };
+    }
+
+    await client.query(
+      'UPDATE tasks SET due_date = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [dueDate, task.id]
+    );
+    await recordTaskHistory(options.actor, {
+      task,
+      action: 'update',
+      changes: { dueDate: { from: currentDate, to: dueDate } }
+    }, client);
+
+    // A moved series keeps only the exceptions that still fall on an occurrence
+    if (task.recurrence) {
+      const exceptions = await client.query('SELECT id, occurrence_date FROM task_occurrences WHERE task_id = $1', [task.id]);
+      const orphaned = exceptions.rows
+        .filter(exception => !isOccurrence(task.recurrence, dueDate, exception.occurrence_date))
+        .map(exception => exception.id);
+      if (orphaned.length > 0) {
+        await client.query('DELETE FROM task_occurrences WHERE id = ANY($1)', [orphaned]);
+      }
+    }
+
+    return { ...result, status: 'updated', previousDueDate: currentDate, dueDate };
+  }
+
+  if (action === 'priority') {
+    if (task.priority === options.priority) {
+      return { ...result, status: 'unchanged' };
+    }
+
+    await client.query(
+      'UPDATE tasks SET priority = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [options.priority, task.id]
+    );
+    await recordTaskHistory(options.actor, {
+      task,
+      action: 'update',
+      changes: { priority: { from: task.priority, to: options.priority } }
+    }, client);
+    return { ...result, status: 'updated', priority: options.priority };
+  }
+
+  // move
+  if (task.subject_id === options.subjectId) {
+    return { ...result, status: 'unchanged' };
+  }
+
+  await client.query(
+    'UPDATE tasks SET subject_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [options.subjectId, task.id]
+  );
+  await recordTaskHistory(options.actor, {
+    task,
+    action: 'update',
+    changes: { subjectId: { from: task.subject_id, to: options.subjectId } }
+  }, client);
+  return { ...result, status: 'updated', subjectId: options.subjectId };
+};
+
+// Apply one action to many tasks, selected by ID or by filter, in a single
+// transaction. Either every item succeeds or nothing changes; with dryRun the
+// work is done and reported but always rolled back.
+router.patch('/bulk', [
+  authenticateToken,
+  body('action').isIn(BULK_ACTIONS).withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body('taskIds').optional().isArray({ min: 1, max: MAX_BULK_TASKS }).withMessage(`Task IDs must be a list of 1-${MAX_BULK_TASKS} IDs`),
+  body('taskIds.*').isUUID().withMessage('Invalid task ID'),
+  body('filter').optional().isObject().withMessage('Filter must be an object'),
+  body('filter.date').optional().isISO8601().withMessage('Valid filter date required'),
+  body('filter.startDate').optional().isISO8601().withMessage('Valid filter start date required'),
+  body('filter.endDate').optional().isISO8601().withMessage('Valid filter end date required'),
+  body('filter.subjectId').optional().isUUID().withMessage('Valid filter subject ID required'),
+  body('filter.completed').optional().isBoolean().toBoolean().withMessage('Filter completed must be a boolean'),
+  body('filter.priority').optional().isIn(['low', 'medium', 'high']).withMessage('Filter priority must be low, medium, or high'),
+  body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
+  body('shiftDays').optional().isInt({ min: -365, max: 365 }).withMessage('Shift must be -365 to 365 days'),
+  body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Priority must be low, medium, or high'),
+  body('subjectId').optional().isUUID().withMessage('Valid subject ID is required'),
+  body('force').optional().isBoolean().toBoolean().withMessage('Force must be a boolean'),
+  body('dryRun').optional().isBoolean().toBoolean().withMessage('Dry run must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, taskIds, filter, dueDate, shiftDays, priority, subjectId, force = false, dryRun = false } = req.body;
+
+    if (Boolean(taskIds) === Boolean(filter)) {
+      return res.status(400).json({ message: 'Provide either taskIds or filter' });
+    }
+    if (action === 'reschedule' && (dueDate === undefined) === (shiftDays === undefined)) {
+      return res.status(400).json({ message: 'Reschedule needs either dueDate or shiftDays' });
+    }
+    if (action === 'priority' && !priority) {
+      return res.status(400).json({ message: 'Priority is required' });
+    }
+    if (action === 'move') {
+      if (!subjectId) {
+        return res.status(400).json({ message: 'Subject ID is required' });
+      }
+
+      const subjectCheck = await query(
+        'SELECT id, archived_at FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+        [subjectId, req.user.id]
+      );
+
+      if (subjectCheck.rows.length === 0) {
+        return res.status(404).json({ message: 'Subject not found' });
+      }
+
+      if (subjectCheck.rows[0].archived_at) {
+        return res.status(409).json({ message: 'Subject is archived. Unarchive it first.' });
+      }
+    }
+
+    // Build target selection
+    const conditions = ['user_id = $1', 'deleted_at IS NULL'];
+    const values = [req.user.id];
+    let paramCount = 2;
+
+    if (taskIds) {
+      conditions.push(`id = ANY($${paramCount++})`);
+      values.push([...new Set(taskIds)]);
+    } else {
+      if (filter.date) {
+        conditions.push(`due_date = $${paramCount++}`);
+        values.push(filter.date);
+      }
+      if (filter.startDate) {
+        conditions.push(`due_date >= $${paramCount++}`);
+        values.push(filter.startDate);
+      }
+      if (filter.endDate) {
+        conditions.push(`due_date <= $${paramCount++}`);
+        values.push(filter.endDate);
+      }
+      if (filter.subjectId) {
+        conditions.push(`subject_id = $${paramCount++}`);
+        values.push(filter.subjectId);
+      }
+      if (filter.completed !== undefined) {
+        conditions.push(`completed = $${paramCount++}`);
+        values.push(filter.completed);
+      }
+      if (filter.priority) {
+        conditions.push(`priority = $${paramCount++}`);
+        values.push(filter.priority);
+      }
+    }
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the targets so concurrent edits cannot interleave with the batch
+      const targets = await client.query(`
+        SELECT id, user_id, title, subject_id, due_date, priority, completed, recurrence
+        FROM tasks
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY due_date, created_at
+        LIMIT ${MAX_BULK_TASKS + 1}
+        FOR UPDATE
+      `, values);
+
+      if (targets.rows.length > MAX_BULK_TASKS) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `Filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down` });
+      }
+
+      const results = [];
+
+      // Requested IDs that are not the user's tasks fail the batch
+      if (taskIds) {
+        const found = new Set(targets.rows.map(task => task.id));
+        for (const id of new Set(taskIds)) {
+          if (!found.has(id)) {
+            results.push({ id, status: 'failed', reason: 'Task not found' });
+          }
+        }
+      }
+
+      const options = { dueDate, shiftDays, priority, subjectId, force, actor: actorFromRequest(req) };
+
+      if (action === 'complete') {
+        const prerequisites = await client.query(`
+          SELECT d.task_id, d.depends_on_id
+          FROM task_dependencies d
+          JOIN tasks p ON d.depends_on_id = p.id
+          WHERE d.task_id = ANY($1) AND NOT p.completed AND p.deleted_at IS NULL
+        `, [targets.rows.map(task => task.id)]);
+
+        options.openPrerequisites = new Map();
+        for (const { task_id: taskId, depends_on_id: dependsOnId } of prerequisites.rows) {
+          options.openPrerequisites.set(taskId, [...(options.openPrerequisites.get(taskId) || []), dependsOnId]);
+        }
+        options.completingIds = new Set(targets.rows.filter(task => !task.recurrence).map(task => task.id));
+      }
+
+      for (const task of targets.rows) {
+        results.push(await applyBulkAction(client, task, action, options));
+      }
+
+      const summary = { matched: targets.rows.length, updated: 0, deleted: 0, unchanged: 0, skipped: 0, failed: 0 };
+      for (const result of results) {
+        summary[result.status]++;
+      }
+
+      if (summary.failed > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          message: 'Bulk operation failed; no changes were applied',
+          action,
+          dryRun,
+          summary,
+          results
+        });
+      }
+
+      await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+      res.json({
+        message: dryRun ? 'Dry run completed; no changes were applied' : 'Bulk operation completed successfully',
+        action,
+        dryRun,
+        summary,
+        results
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    // Validate sort field
-    const validSortFields = ['due_date', 'created_at', 'priority', 'title'];
-    const sortField = validSortFields.includes(sort) ? sort : 'due_date';
-    const sortOrder = order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  } catch (error) {
+    console.error('Bulk task update error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Move all of the user's overdue tasks to today (what auto rollover does daily)
+router.post('/rollover', authenticateToken, async (req, res) => {
+  try {
+    const rolledOver = await rolloverOverdueTasks({ userId: req.user.id, actor: actorFromRequest(req) });
+
+    res.json({
+      message: `${rolledOver.length} overdue task(s) moved to today`,
+      tasks: rolledOver.map(task => ({
+        id: task.id,
+        dueDate: task.due_date,
+        rolloverCount: task.rollover_count
+      }))
+    });
+
+  } catch (error) {
+    console.error('Rollover tasks error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Parse a one-line task entry (see utils/quickAdd.js) and, with `create`,
+// create the task. Without it only the parsed preview is returned.
+router.post('/quick', [
+  authenticateToken,
+  body('text').trim().isLength({ min: 1, max: 500 }).withMessage('Text must be 1-500 characters'),
+  body('create').optional().isBoolean().toBoolean().withMessage('Create must be a boolean'),
+  body('subjectId').optional().isUUID().withMessage('Invalid subject ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { text, create = false, subjectId } = req.body;
+    const preferences = await getUserPreferences(req.user.id);
+
+    // Only subjects offered in pickers can be matched
+    const subjectsResult = await query(
+      'SELECT id, name FROM subjects WHERE user_id = $1 AND deleted_at IS NULL AND archived_at IS NULL ORDER BY name',
+      [req.user.id]
+    );
+
+    const parsed = parseQuickAdd(text, {
+      today: localDate(preferences.timezone),
+      subjects: subjectsResult.rows
+    });
+
+    // An explicit subject ID overrides the #subject in the text
+    if (subjectId) {
+      const subject = subjectsResult.rows.find(row => row.id === subjectId);
+      if (!subject) {
+        return res.status(404).json({ message: 'Subject not found' });
+      }
+      parsed.subject = { id: subject.id, name: subject.name };
+    }
+
+    const preview = {
+      title: parsed.title,
+      dueDate: parsed.dueDate || localDate(preferences.timezone),
+      dueTime: parsed.dueTime,
+      priority: parsed.priority || 'medium',
+      estimatedTime: parsed.estimatedTime || preferences.default_task_duration,
+      subject: parsed.subject,
+      subjectTerm: parsed.subjectTerm,
+      warnings: parsed.warnings
+    };
+
+    if (!create) {
+      return res.json({ parsed: preview });
+    }
+
+    if (!preview.title) {
+      return res.status(400).json({ message: 'Task title is missing', parsed: preview });
+    }
+    if (preview.title.length > 255) {
+      return res.status(400).json({ message: 'Title must be 1-255 characters', parsed: preview });
+    }
+    if (!preview.subject) {
+      return res.status(400).json({
+        message: 'Could not determine the subject. Add #subject to the text or pass subjectId.',
+        parsed: preview
+      });
+    }
+
+    const result = await query(`
+      INSERT INTO tasks (user_id, subject_id, title, due_date, due_time, priority, estimated_time)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [
+      req.user.id,
+      preview.subject.id,
+      preview.title,
+      preview.dueDate,
+      preview.dueTime,
+      preview.priority,
+      preview.estimatedTime
+    ]);
+
+    const task = await getTaskWithSubject(result.rows[0].id, req.user.id);
+    await recordTaskHistory(actorFromRequest(req), {
+      task,
+      action: 'create',
+      changes: diffTask(null, task)
+    });
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      parsed: preview,
+      task: formatTask(task)
+    });
+
+  } catch (error) {
+    console.error('Quick add task error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create a new task
+router.post('/', [
+  authenticateToken,
+  body('title').trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
+  body('subjectId').isUUID().withMessage('Valid subject ID is required'),
+  body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('dueTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required (HH:MM)'),
+  body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Priority must be low, medium, or high'),
+  body('estimatedTime').optional().isInt({ min: 1 }).withMessage('Estimated time must be a positive integer'),
+  body('description').optional().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  body('recurrence').optional({ nullable: true }).custom(validateRecurrence),
+  body('autoComplete').optional().isBoolean().toBoolean().withMessage('Auto complete must be a boolean'),
+  body('tagIds').optional().isArray().withMessage('Tag IDs must be an array'),
+  body('tagIds.*').isUUID().withMessage('Invalid tag ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      title,
+      subjectId,
+      dueDate,
+      dueTime,
+      priority = 'medium',
+      description,
+      autoComplete = false,
+      tagIds = []
+    } = req.body;
+
+    // The due date is the first occurrence of a recurring task
+    const recurrence = req.body.recurrence ? normalizeRule(req.body.recurrence) : null;
+
+    // Fall back to the user's default task duration
+    let { estimatedTime } = req.body;
+    if (estimatedTime === undefined) {
+      const preferences = await getUserPreferences(req.user.id);
+      estimatedTime = preferences.default_task_duration;
+    }
+
+    // Verify subject belongs to user
+    const subjectCheck = await query(
+      'SELECT id, archived_at FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [subjectId, req.user.id]
+    );
+
+    if (subjectCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    if (subjectCheck.rows[0].archived_at) {
+      return res.status(409).json({ message: 'Subject is archived. Unarchive it first.' });
+    }
+
+    if (!(await userOwnsTags(req.user.id, tagIds))) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    // Create the task
+    const result = await query(`
+      INSERT INTO tasks (user_id, subject_id, title, description, due_date, due_time, priority, estimated_time, recurrence, auto_complete)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING
+        id, user_id, subject_id, title, description, due_date, due_time, priority, estimated_time, completed,
+        recurrence, auto_complete, created_at, updated_at
+    `, [req.user.id, subjectId, title, description, dueDate, dueTime, priority, estimatedTime, recurrence, autoComplete]);
+
+    const task = result.rows[0];
+    const taskTags = await replaceTags('task', task.id, tagIds);
+
+    await recordTaskHistory(actorFromRequest(req), {
+      task,
+      action: 'create',
+      changes: diffTask(null, task)
+    });
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      task: {
+        id: task.id,
+        title: task.title,
+        description: task.description,
+        dueDate: task.due_date,
+        dueTime: task.due_time,
+        priority: task.priority,
+        estimatedTime: task.estimated_time,
+        completed: task.completed,
+        recurrence: task.recurrence,
+        rrule: task.recurrence ? toRRuleString(task.recurrence) : null,
+        autoComplete: task.auto_complete,
+        tags: taskTags,
+        attachments: [],
+        createdAt: task.created_at,
+        updatedAt: task.updated_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Create task error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Apply an edit to a single occurrence of a recurring task by upserting its exception row
+const updateOccurrence = async (task, occurrenceDate, fields) => {
+  const { title, dueDate, dueTime, priority, estimatedTime, description, completed } = fields;
+
+  const result = await query(`
+    INSERT INTO task_occurrences (
+      task_id, occurrence_date, title, description, due_date, due_time,
+      priority, estimated_time, completed, completed_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::boolean, false), CASE WHEN $9::boolean THEN CURRENT_TIMESTAMP END)
+    ON CONFLICT (task_id, occurrence_date) DO UPDATE SET
+      title = COALESCE($3, task_occurrences.title),
+      description = COALESCE($4, task_occurrences.description),
+      due_date = COALESCE($5, task_occurrences.due_date),
+      due_time = COALESCE($6, task_occurrences.due_time),
+      priority = COALESCE($7, task_occurrences.priority),
+      estimated_time = COALESCE($8, task_occurrences.estimated_time),
+      completed = COALESCE($9::boolean, task_occurrences.completed),
+      completed_at = CASE
+        WHEN $9::boolean IS NULL THEN task_occurrences.completed_at
+        WHEN $9::boolean AND task_occurrences.completed THEN task_occurrences.completed_at
+        WHEN $9::boolean THEN CURRENT_TIMESTAMP
+        ELSE NULL
+      END,
+      skipped = false,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    task.id,
+    occurrenceDate,
+    title,
+    description,
+    dueDate,
+    dueTime,
+    priority,
+    estimatedTime,
+    completed === undefined ? null : completed
+  ]);
+
+  return result.rows[0];
+};
+
+// Exception row of one occurrence of a recurring task, if it has one
+const getOccurrenceException = async (taskId, occurrenceDate) => {
+  const result = await query(
+    'SELECT * FROM task_occurrences WHERE task_id = $1 AND occurrence_date = $2',
+    [taskId, occurrenceDate]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Column values of one occurrence with its exception applied, to log the
+// changes made to a single occurrence
+const occurrenceValues = (task, exception, occurrenceDate) => {
+  const values = { ...task, due_date: occurrenceDate, completed: exception ? exception.completed : false };
+
+  if (exception) {
+    for (const column of ['title', 'description', 'due_date', 'due_time', 'priority', 'estimated_time']) {
+      if (exception[column] !== null) {
+        values[column] = exception[column];
+      }
+    }
+  }
+
+  return values;
+};
+
+// Build the API shape of one occurrence from its series and exception row
+const formatOccurrence = (task, exception, occurrenceDate) => {
+  const dates = [occurrenceDate, exception && exception.due_date ? toDateString(exception.due_date) : occurrenceDate].sort();
+  const [occurrence] = expandRecurringTasks([task], exception ? [exception] : [], dates[0], dates[1]);
+  return occurrence ? formatTask(occurrence) : null;
+};
+
+// Split a series at occurrenceDate: the original series ends just before it and
+// a new series with the edits applied continues from it. Both changes are
+// logged as made by `actor`.
+const splitSeries = async (task, occurrenceDate, fields, actor) => {
+  const { title, subjectId, dueDate, dueTime, priority, estimatedTime, description } = fields;
+  const rule = task.recurrence;
+  const before = countOccurrencesBefore(rule, task.due_date, occurrenceDate);
+
+  const endedRule = rule.count
+    ? { ...rule, count: before }
+    : { ...rule, until: shiftDate(occurrenceDate, -1) };
+
+  let continuedRule;
+  if (fields.recurrence !== undefined) {
+    continuedRule = fields.recurrence === null ? null : normalizeRule(fields.recurrence);
+  } else {
+    continuedRule = rule.count ? { ...rule, count: rule.count - before } : rule;
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE tasks SET recurrence = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [endedRule, task.id]
+    );
+    await recordTaskHistory(actor, {
+      task,
+      action: 'update',
+      changes: { recurrence: { from: rule, to: endedRule } },
+      occurrenceDate
+    }, client);
+
+    const result = await client.query(`
+      INSERT INTO tasks (user_id, subject_id, title, description, due_date, due_time, priority, estimated_time, recurrence, auto_complete)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      task.user_id,
+      subjectId !== undefined ? subjectId : task.subject_id,
+      title !== undefined ? title : task.title,
+      description !== undefined ? description : task.description,
+      dueDate !== undefined ? dueDate : occurrenceDate,
+      dueTime !== undefined ? dueTime : task.due_time,
+      priority !== undefined ? priority : task.priority,
+      estimatedTime !== undefined ? estimatedTime : task.estimated_time,
+      continuedRule,
+      fields.autoComplete !== undefined ? fields.autoComplete : task.auto_complete
+    ]);
+
+    const newTask = result.rows[0];
+    const newTaskId = newTask.id;
+
+    await recordTaskHistory(actor, {
+      task: newTask,
+      action: 'create',
+      changes: diffTask(null, newTask),
+      occurrenceDate
+    }, client);
+
+    if (fields.tagIds !== undefined) {
+      await replaceTags('task', newTaskId, fields.tagIds, client);
+    } else {
+      await client.query(
+        'INSERT INTO task_tags (task_id, tag_id) SELECT $1, tag_id FROM task_tags WHERE task_id = $2',
+        [newTaskId, task.id]
+      );
+    }
+
+    // Exceptions from the split onwards still line up with the new series
+    // unless its start date or rule changed
+    if (dueDate === undefined && fields.recurrence === undefined) {
+      await client.query(
+        'UPDATE task_occurrences SET task_id = $1 WHERE task_id = $2 AND occurrence_date >= $3',
+        [newTaskId, task.id, occurrenceDate]
+      );
+    } else {
+      await client.query(
+        'DELETE FROM task_occurrences WHERE task_id = $1 AND occurrence_date >= $2',
+        [task.id, occurrenceDate]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return newTaskId;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Remove exceptions that no longer match an occurrence after a series changed
+const pruneOccurrences = async (task) => {
+  if (!task.recurrence) {
+    await query('DELETE FROM task_occurrences WHERE task_id = $1', [task.id]);
+    return;
+  }
+
+  const result = await query('SELECT id, occurrence_date FROM task_occurrences WHERE task_id = $1', [task.id]);
+  const orphaned = result.rows
+    .filter(exception => !isOccurrence(task.recurrence, task.due_date, exception.occurrence_date))
+    .map(exception => exception.id);
+
+  if (orphaned.length > 0) {
+    await query('DELETE FROM task_occurrences WHERE id = ANY($1)', [orphaned]);
+  }
+};
+
+// For tasks with auto complete, derive completion from the checklist: the task
+// completes when every item is done and reopens when one is unchecked.
+// A task with open prerequisites is not completed until they are done.
+// Recurring tasks are completed per occurrence and are left alone.
+// The change is logged as made by `actor`, unless the caller logs it itself,
+// and a timer running on a task that completes is stopped.
+// Returns the new { completed, completed_at } when the task changed.
+const syncChecklistCompletion = async (taskId, actor = null) => {
+  const result = await query(`
+    UPDATE tasks t
+    SET completed = c.done = c.total,
+        completed_at = CASE WHEN c.done = c.total THEN CURRENT_TIMESTAMP END,
+        updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT COUNT(*) as total, COUNT(*) FILTER (WHERE completed) as done
+      FROM task_checklist_items
+      WHERE task_id = $1
+    ) c
+    WHERE t.id = $1 AND t.auto_complete AND t.recurrence IS NULL
+      AND c.total > 0 AND t.completed <> (c.done = c.total)
+      AND (c.done < c.total OR NOT EXISTS (
+        SELECT 1
+        FROM task_dependencies d
+        JOIN tasks p ON d.depends_on_id = p.id
+        WHERE d.task_id = t.id AND NOT p.completed AND p.deleted_at IS NULL
+      ))
+    RETURNING t.id, t.user_id, t.title, t.completed, t.completed_at
+  `, [taskId]);
+
+  const task = result.rows[0];
+  if (!task) {
+    return null;
+  }
+
+  if (actor) {
+    await recordTaskUpdate(actor, {
+      task,
+      changes: { completed: { from: !task.completed, to: task.completed } }
+    });
+  }
+
+  if (task.completed) {
+    await stopRunningTimer(task.user_id, { taskId: task.id });
+  }
+
+  return { completed: task.completed, completed_at: task.completed_at };
+};
+
+// Task completion and checklist progress returned by checklist endpoints
+const getChecklistSummary = async (taskId) => {
+  const result = await query(`
+    SELECT t.id, t.completed, t.completed_at, ${CHECKLIST_COUNTS}
+    FROM tasks t
+    WHERE t.id = $1
+  `, [taskId]);
+
+  const task = result.rows[0];
+
+  return {
+    id: task.id,
+    completed: task.completed,
+    completedAt: task.completed_at,
+    checklist: formatChecklistProgress(task)
+  };
+};
+
+const formatChecklistItem = (item) => ({
+  id: item.id,
+  title: item.title,
+  position: item.position,
+  completed: item.completed,
+  completedAt: item.completed_at,
+  createdAt: item.created_at,
+  updatedAt: item.updated_at
+});
+
+// Prerequisites of a task that are not completed yet
+const getOpenPrerequisites = async (taskId) => {
+  const result = await query(`
+    SELECT p.id, p.title
+    FROM task_dependencies d
+    JOIN tasks p ON d.depends_on_id = p.id
+    WHERE d.task_id = $1 AND NOT p.completed AND p.deleted_at IS NULL
+    ORDER BY p.due_date, p.title
+  `, [taskId]);
+
+  return result.rows;
+};
+
+// Load a task with its subject for responses
+const getTaskWithSubject = async (id, userId) => {
+  const result = await query(`
+    SELECT
+      t.*, s.name as subject_name, s.color as subject_color,
+      ${CHECKLIST_COUNTS}, ${BLOCKED}, ${TIME_TRACKED}, ${OVERDUE_CONDITION} as overdue,
+      ${tagsSql('task', 't.id')}, ${attachmentsSql('task', 't.id')}
+    FROM tasks t
+    JOIN subjects s ON t.subject_id = s.id
+    WHERE t.id = $1 AND t.user_id = $2
+  `, [id, userId]);
+
+  return result.rows[0];
+};
+
+// Update a task. For recurring tasks `scope` selects what changes:
+// 'all' edits the whole series, 'occurrence' only the one on `occurrenceDate`,
+// and 'future' that occurrence and every one after it.
+router.put('/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  body('title').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
+  body('subjectId').optional().isUUID().withMessage('Valid subject ID is required'),
+  body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
+  body('dueTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required (HH:MM)'),
+  body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Priority must be low, medium, or high'),
+  body('estimatedTime').optional().isInt({ min: 1 }).withMessage('Estimated time must be a positive integer'),
+  body('description').optional().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  body('completed').optional().isBoolean().toBoolean().withMessage('Completed must be a boolean'),
+  body('force').optional().isBoolean().toBoolean().withMessage('Force must be a boolean'),
+  body('recurrence').optional({ nullable: true }).custom(validateRecurrence),
+  body('autoComplete').optional().isBoolean().toBoolean().withMessage('Auto complete must be a boolean'),
+  body('tagIds').optional().isArray().withMessage('Tag IDs must be an array'),
+  body('tagIds.*').isUUID().withMessage('Invalid tag ID'),
+  body('scope').optional().isIn(['all', 'occurrence', 'future']).withMessage('Scope must be all, occurrence, or future'),
+  body('occurrenceDate').optional().isISO8601().withMessage('Valid occurrence date is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const {
+      title,
+      subjectId,
+      dueDate,
+      dueTime,
+      priority,
+      estimatedTime,
+      description,
+      completed,
+      recurrence,
+      autoComplete,
+      tagIds,
+      scope = 'all',
+      force = false
+    } = req.body;
+
+    // Check if task exists and belongs to user
+    const existingTask = await query(
+      'SELECT * FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (existingTask.rows.length === 0) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // If subjectId is being updated, verify it belongs to user
+    if (subjectId) {
+      const subjectCheck = await query(
+        'SELECT id, archived_at FROM subjects WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+        [subjectId, req.user.id]
+      );
+
+      if (subjectCheck.rows.length === 0) {
+        return res.status(404).json({ message: 'Subject not found' });
+      }
+
+      if (subjectCheck.rows[0].archived_at && subjectId !== existingTask.rows[0].subject_id) {
+        return res.status(409).json({ message: 'Subject is archived. Unarchive it first.' });
+      }
+    }
+
+    if (tagIds && !(await userOwnsTags(req.user.id, tagIds))) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    if (scope !== 'all') {
+      const task = existingTask.rows[0];
+      const occurrenceDate = req.body.occurrenceDate && toDateString(req.body.occurrenceDate);
+
+      if (!task.recurrence) {
+        return res.status(400).json({ message: 'Only recurring tasks can be edited by occurrence' });
+      }
+      if (!occurrenceDate || !isOccurrence(task.recurrence, task.due_date, occurrenceDate)) {
+        return res.status(400).json({ message: 'A valid occurrenceDate of this task is required' });
+      }
+
+      if (scope === 'occurrence') {
+        if (subjectId !== undefined || recurrence !== undefined || autoComplete !== undefined || tagIds !== undefined) {
+          return res.status(400).json({ message: 'Subject, recurrence, auto complete and tags can only be changed for all or future occurrences' });
+        }
+        if ([title, dueDate, dueTime, priority, estimatedTime, description, completed].every(v => v === undefined)) {
+          return res.status(400).json({ message: 'No fields to update' });
+        }
+
+        const previous = await getOccurrenceException(id, occurrenceDate);
+        const exception = await updateOccurrence(task, occurrenceDate, req.body);
+        const series = await getTaskWithSubject(id, req.user.id);
+
+        await recordTaskUpdate(actorFromRequest(req), {
+          task,
+          changes: diffTask(occurrenceValues(task, previous, occurrenceDate), occurrenceValues(task, exception, occurrenceDate)),
+          occurrenceDate
+        });
+
+        return res.json({
+          message: 'Occurrence updated successfully',
+          task: formatOccurrence(series, exception, occurrenceDate)
+        });
+      }
+
+      // Editing from the first occurrence onwards is the same as editing the series
+      if (occurrenceDate !== toDateString(task.due_date)) {
+        if (completed !== undefined) {
+          return res.status(400).json({ message: 'Completion can only be set for a single occurrence' });
+        }
+
+        const newTaskId = await splitSeries(task, occurrenceDate, req.body, actorFromRequest(req));
+        const newTask = await getTaskWithSubject(newTaskId, req.user.id);
+
+        return res.json({
+          message: 'Future occurrences updated successfully',
+          task: formatTask(newTask)
+        });
+      }
+    }
+
+    // Recurring tasks cannot take part in dependencies
+    if (recurrence && !existingTask.rows[0].recurrence) {
+      const dependencyCheck = await query(
+        'SELECT 1 FROM task_dependencies WHERE task_id = $1 OR depends_on_id = $1 LIMIT 1',
+        [id]
+      );
+
+      if (dependencyCheck.rows.length > 0) {
+        return res.status(400).json({ message: 'Remove the dependencies of this task before making it recurring' });
+      }
+    }
+
+    // Completing a task before its prerequisites needs an explicit force, as
+    // with PATCH /:id/complete
+    const openPrerequisites = completed && !existingTask.rows[0].completed ? await getOpenPrerequisites(id) : [];
+    if (openPrerequisites.length > 0 && !force) {
+      return res.status(409).json({
+        message: 'Task has open prerequisites',
+        code: 'TASK_BLOCKED',
+        prerequisites: openPrerequisites
+      });
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (title !== undefined) {
+      updates.push(`title = $${paramCount++}`);
+      values.push(title);
+    }
+    if (subjectId !== undefined) {
+      updates.push(`subject_id = $${paramCount++}`);
+      values.push(subjectId);
+    }
+    if (dueDate !== undefined) {
+      updates.push(`due_date = $${paramCount++}`);
+      values.push(dueDate);
+    }
+    if (dueTime !== undefined) {
+      updates.push(`due_time = $${paramCount++}`);
+      values.push(dueTime);
+    }
+    if (priority !== undefined) {
+      updates.push(`priority = $${paramCount++}`);
+      values.push(priority);
+    }
+    if (estimatedTime !== undefined) {
+      updates.push(`estimated_time = $${paramCount++}`);
+      values.push(estimatedTime);
+    }
+    if (description !== undefined) {
+      updates.push(`description = $${paramCount++}`);
+      values.push(description);
+    }
+    if (completed !== undefined) {
+      updates.push(`completed = $${paramCount++}`);
+      values.push(completed);
+
+      // If marking as completed, set completed_at timestamp
+      if (completed && !existingTask.rows[0].completed) {
+        updates.push(`completed_at = CURRENT_TIMESTAMP`);
+      } else if (!completed) {
+        updates.push(`completed_at = NULL`);
+      }
+    }
+    if (recurrence !== undefined) {
+      updates.push(`recurrence = $${paramCount++}`);
+      values.push(recurrence === null ? null : normalizeRule(recurrence));
+    }
+    if (autoComplete !== undefined) {
+      updates.push(`auto_complete = $${paramCount++}`);
+      values.push(autoComplete);
+    }
+
+    if (updates.length === 0 && tagIds === undefined) {
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    // Tags are not a task column, so their change is logged separately
+    const tagChanges = {};
+    if (tagIds !== undefined) {
+      const previousTags = await query('SELECT tag_id FROM task_tags WHERE task_id = $1', [id]);
+      const from = previousTags.rows.map(row => row.tag_id).sort();
+      const to = [...new Set(tagIds)].sort();
+      if (from.join() !== to.join()) {
+        tagChanges.tagIds = { from, to };
+      }
+
+      await replaceTags('task', id, tagIds);
+    }
+
+    values.push(id, req.user.id);
+    const updateQuery = `
+      UPDATE tasks
+      SET ${[...updates, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+      WHERE id = $${paramCount++} AND user_id = $${paramCount++}
+      RETURNING
+        id, user_id, subject_id, title, description, due_date, due_time, priority, estimated_time, completed, completed_at,
+        recurrence, auto_complete, created_at, updated_at, ${tagsSql('task', 'id')},
+        ${attachmentsSql('task', 'id')}
+    `;
+
+    const result = await query(updateQuery, values);
+    let task = result.rows[0];
+
+    // Turning auto complete on applies it to the current checklist state
+    if (autoComplete) {
+      const synced = await syncChecklistCompletion(id);
+      if (synced) {
+        task = { ...task, ...synced };
+      }
+    }
+
+    // Moving or re-ruling a series may orphan per-occurrence exceptions
+    if (existingTask.rows[0].recurrence && (dueDate !== undefined || recurrence !== undefined)) {
+      await pruneOccurrences(task);
+    }
+
+    await recordTaskUpdate(actorFromRequest(req), {
+      task,
+      changes: { ...diffTask(existingTask.rows[0], task), ...tagChanges }
+    });
+
+    // Time stops counting once the task is done
+    if (completed) {
+      await stopRunningTimer(req.user.id, { taskId: id });
+    }
+
+    const response = {
+      message: 'Task updated successfully',
+      task: {
+        id: task.id,
+        title: task.title,
+        description: task.description,
+        dueDate: task.due_date,
+        dueTime: task.due_time,
+        priority: task.priority,
+        estimatedTime: task.estimated_time,
+        completed: task.completed,
+        completedAt: task.completed_at,
+        recurrence: task.recurrence,
+        rrule: task.recurrence ? toRRuleString(task.recurrence) : null,
+        autoComplete: task.auto_complete,
+        tags: task.tags,
+        attachments: task.attachments,
+        createdAt: task.created_at,
+        updatedAt: task.updated_at
+      }
+    };
+
+    if (openPrerequisites.length > 0) {
+      response.warning = 'Task was completed before its prerequisites';
+      response.prerequisites = openPrerequisites;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Update task error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete a task (moves it to the trash, see routes/trash.js)
+router.delete('/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    // Check if task exists and belongs to user
+    const existingTask = await query(
+      'SELECT id, user_id, title FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (existingTask.rows.length === 0) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Move the task to the trash
+    const result = await query(
+      'UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 RETURNING deleted_at',
+      [id, req.user.id]
+    );
+
+    await recordTaskHistory(actorFromRequest(req), { task: existingTask.rows[0], action: 'delete' });
+    await stopRunningTimer(req.user.id, { taskId: id });
+
+    res.json({
+      message: 'Task moved to trash',
+      task: {
+        id,
+        deletedAt: result.rows[0].deleted_at,
+        purgeAt: purgeDate(result.rows[0].deleted_at)
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete task error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Mark task as completed/uncompleted. Recurring tasks are completed one
+// occurrence at a time, identified by occurrenceDate.
+router.patch('/:id/complete', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  body('completed').isBoolean().toBoolean().withMessage('Completed must be a boolean'),
+  body('occurrenceDate').optional().isISO8601().withMessage('Valid occurrence date is required'),
+  body('force').optional().isBoolean().toBoolean().withMessage('Force must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { completed, force = false } = req.body;
+
+    // Check if task exists and belongs to user
+    const existingTask = await query(
+      'SELECT id, user_id, title, completed, due_date, recurrence FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (existingTask.rows.length === 0) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const existing = existingTask.rows[0];
+
+    if (existing.recurrence) {
+      const occurrenceDate = req.body.occurrenceDate && toDateString(req.body.occurrenceDate);
+
+      if (!occurrenceDate || !isOccurrence(existing.recurrence, existing.due_date, occurrenceDate)) {
+        return res.status(400).json({ message: 'A valid occurrenceDate of this task is required' });
+      }
+
+      const previous = await getOccurrenceException(id, occurrenceDate);
+      const exception = await updateOccurrence(existing, occurrenceDate, { completed });
+
+      await recordTaskUpdate(actorFromRequest(req), {
+        task: existing,
+        changes: diffTask(occurrenceValues(existing, previous, occurrenceDate), occurrenceValues(existing, exception, occurrenceDate)),
+        occurrenceDate
+      });
+
+      return res.json({
+        message: `Occurrence ${completed ? 'completed' : 'uncompleted'} successfully`,
+        task: {
+          id: existing.id,
+          occurrenceDate,
+          completed: exception.completed,
+          completedAt: exception.completed_at
+        }
+      });
+    }
+
+    // Completing a task before its prerequisites needs an explicit force
+    const openPrerequisites = completed ? await getOpenPrerequisites(id) : [];
+    if (openPrerequisites.length > 0 && !force) {
+      return res.status(409).json({
+        message: 'Task has open prerequisites',
+        code: 'TASK_BLOCKED',
+        prerequisites: openPrerequisites
+      });
+    }
+
+    // Update completion status
+    const completedAt = completed ? 'CURRENT_TIMESTAMP' : 'NULL';
+    const result = await query(`
+      UPDATE tasks
+      SET completed = $1, completed_at = ${completedAt}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND user_id = $3
+      RETURNING id, completed, completed_at
+    `, [completed, id, req.user.id]);
+
+    const task = result.rows[0];
+
+    await recordTaskUpdate(actorFromRequest(req), { task: existing, changes: diffTask(existing, task) });
+
+    // Time stops counting once the task is done
+    if (completed) {
+      await stopRunningTimer(req.user.id, { taskId: id });
+    }
+
+    const response = {
+      message: `Task ${completed ? 'completed' : 'uncompleted'} successfully`,
+      task: {
+        id: task.id,
+        completed: task.completed,
+        completedAt: task.completed_at
+      }
+    };
+
+    if (openPrerequisites.length > 0) {
+      response.warning = 'Task was completed before its prerequisites';
+      response.prerequisites = openPrerequisites;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Complete task error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Skip a single occurrence of a recurring task
+router.post('/:id/occurrences/:date/skip', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  param('date').isISO8601().withMessage('Valid occurrence date is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const occurrenceDate = toDateString(req.params.date);
+
+    const existingTask = await query(
+      'SELECT id, user_id, title, due_date, recurrence FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (existingTask.rows.length === 0) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const task = existingTask.rows[0];
+
+    if (!task.recurrence || !isOccurrence(task.recurrence, task.due_date, occurrenceDate)) {
+      return res.status(404).json({ message: 'Occurrence not found' });
+    }
+
+    await query(`
+      INSERT INTO task_occurrences (task_id, occurrence_date, skipped)
+      VALUES ($1, $2, true)
+      ON CONFLICT (task_id, occurrence_date) DO UPDATE SET
+        skipped = true, updated_at = CURRENT_TIMESTAMP
+    `, [id, occurrenceDate]);
+
+    await recordTaskHistory(actorFromRequest(req), { task, action: 'skip', occurrenceDate });
+
+    res.json({ message: 'Occurrence skipped successfully' });
+
+  } catch (error) {
+    console.error('Skip occurrence error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Restore an occurrence to the series defaults, undoing a skip, move or edit
+router.delete('/:id/occurrences/:date', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  param('date').isISO8601().withMessage('Valid occurrence date is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const occurrenceDate = toDateString(req.params.date);
+
+    const result = await query(`
+      DELETE FROM task_occurrences o
+      USING tasks t
+      WHERE o.task_id = t.id AND t.id = $1 AND t.user_id = $2 AND t.deleted_at IS NULL AND o.occurrence_date = $3
+      RETURNING t.id, t.user_id, t.title
+    `, [req.params.id, req.user.id, occurrenceDate]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Occurrence exception not found' });
+    }
+
+    await recordTaskHistory(actorFromRequest(req), { task: result.rows[0], action: 'restore', occurrenceDate });
+
+    res.json({ message: 'Occurrence restored successfully' });
+
+  } catch (error) {
+    console.error('Restore occurrence error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Change log of a task, newest first. Tasks in the trash keep their history.
+router.get('/:id/history', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  queryValidator('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_LIMIT;
+
+    // Check if task exists and belongs to user
+    const existingTask = await query(
+      'SELECT id FROM tasks WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (existingTask.rows.length === 0) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const result = await query(`
+      SELECT h.*, pat.name as token_name
+      FROM task_history h
+      LEFT JOIN personal_access_tokens pat ON h.token_id = pat.id
+      WHERE h.task_id = $1
+      ORDER BY h.created_at DESC, h.id DESC
+      LIMIT $2
+    `, [id, limit]);
+
+    res.json({ history: result.rows.map(formatHistoryEntry) });
+
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get the checklist of a task
+router.get('/:id/checklist', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    // Check if task exists and belongs to user
+    const existingTask = await query(
+      'SELECT id FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (existingTask.rows.length === 0) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const result = await query(`
+      SELECT id, title, position, completed, completed_at, created_at, updated_at
+      FROM task_checklist_items
+      WHERE task_id = $1
+      ORDER BY position, created_at
+    `, [id]);
+
+    res.json({
+      items: result.rows.map(formatChecklistItem),
+      task: await getChecklistSummary(id)
+    });
+
+  } catch (error) {
+    console.error('Get checklist error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Add a checklist item (appended unless a position is given)
+router.post('/:id/checklist', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  body('title').trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { title, position } = req.body;
+
+    // Check if task exists and belongs to user
+    const existingTask = await query(
+      'SELECT id FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (existingTask.rows.length === 0) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const client = await getClient();
+    let item;
+
+    try {
+      await client.query('BEGIN');
+
+      // Make room at the requested position
+      if (position !== undefined) {
+        await client.query(
+          'UPDATE task_checklist_items SET position = position + 1 WHERE task_id = $1 AND position >= $2',
+          [id, position]
+        );
+      }
+
+      const result = await client.query(`
+        INSERT INTO task_checklist_items (task_id, title, position)
+        VALUES ($1, $2, COALESCE($3, (SELECT COALESCE(MAX(position) + 1, 0) FROM task_checklist_items WHERE task_id = $1)))
+        RETURNING id, title, position, completed, completed_at, created_at, updated_at
+      `, [id, title, position]);
+
+      item = result.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // A new open item reopens an auto-completed task
+    await syncChecklistCompletion(id, actorFromRequest(req));
+
+    res.status(201).json({
+      message: 'Checklist item created successfully',
+      item: formatChecklistItem(item),
+      task: await getChecklistSummary(id)
+    });
+
+  } catch (error) {
+    console.error('Create checklist item error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Reorder a task's checklist; itemIds must list every item in the new order
+router.put('/:id/checklist/order', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  body('itemIds').isArray({ min: 1 }).withMessage('Item IDs are required'),
+  body('itemIds.*').isUUID().withMessage('Invalid checklist item ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { itemIds } = req.body;
+
+    // Check if task exists and belongs to user
+    const existingTask = await query(
+      'SELECT id FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (existingTask.rows.length === 0) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const existingItems = await query('SELECT id FROM task_checklist_items WHERE task_id = $1', [id]);
+    const existingIds = new Set(existingItems.rows.map(item => item.id));
+
+    if (new Set(itemIds).size !== itemIds.length || itemIds.length !== existingIds.size ||
+      !itemIds.every(itemId => existingIds.has(itemId))) {
+      return res.status(400).json({ message: 'Item IDs must list every checklist item of the task exactly once' });
+    }
+
+    const result = await query(`
+      UPDATE task_checklist_items i
+      SET position = o.position - 1
+      FROM unnest($1::uuid[]) WITH ORDINALITY AS o(id, position)
+      WHERE i.id = o.id AND i.task_id = $2
+      RETURNING i.id, i.title, i.position, i.completed, i.completed_at, i.created_at, i.updated_at
+    `, [itemIds, id]);
+
+    res.json({
+      message: 'Checklist reordered successfully',
+      items: result.rows.sort((a, b) => a.position - b.position).map(formatChecklistItem)
+    });
+
+  } catch (error) {
+    console.error('Reorder checklist error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update a checklist item (rename or toggle completion)
+router.put('/:id/checklist/:itemId', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  param('itemId').isUUID().withMessage('Invalid checklist item ID'),
+  body('title').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
+  body('completed').optional().isBoolean().toBoolean().withMessage('Completed must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, itemId } = req.params;
+    const { title, completed } = req.body;
+
+    // Check if item exists and belongs to one of the user's tasks
+    const existingItem = await query(`
+      SELECT i.id, i.completed
+      FROM task_checklist_items i
+      JOIN tasks t ON i.task_id = t.id
+      WHERE i.id = $1 AND i.task_id = $2 AND t.user_id = $3 AND t.deleted_at IS NULL
+    `, [itemId, id, req.user.id]);
+
+    if (existingItem.rows.length === 0) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (title !== undefined) {
+      updates.push(`title = $${paramCount++}`);
+      values.push(title);
+    }
+    if (completed !== undefined) {
+      updates.push(`completed = $${paramCount++}`);
+      values.push(completed);
+
+      // If marking as completed, set completed_at timestamp
+      if (completed && !existingItem.rows[0].completed) {
+        updates.push(`completed_at = CURRENT_TIMESTAMP`);
+      } else if (!completed) {
+        updates.push(`completed_at = NULL`);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    values.push(itemId);
+    const result = await query(`
+      UPDATE task_checklist_items
+      SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${paramCount++}
+      RETURNING id, title, position, completed, completed_at, created_at, updated_at
+    `, values);
+
+    if (completed !== undefined) {
+      await syncChecklistCompletion(id, actorFromRequest(req));
+    }
+
+    res.json({
+      message: 'Checklist item updated successfully',
+      item: formatChecklistItem(result.rows[0]),
+      task: await getChecklistSummary(id)
+    });
+
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete a checklist item
+router.delete('/:id/checklist/:itemId', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  param('itemId').isUUID().withMessage('Invalid checklist item ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, itemId } = req.params;
+
+    const result = await query(`
+      DELETE FROM task_checklist_items i
+      USING tasks t
+      WHERE i.task_id = t.id AND i.id = $1 AND i.task_id = $2 AND t.user_id = $3 AND t.deleted_at IS NULL
+      RETURNING i.id
+    `, [itemId, id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    // Removing the last open item completes an auto-complete task
+    await syncChecklistCompletion(id, actorFromRequest(req));
+
+    res.json({
+      message: 'Checklist item deleted successfully',
+      task: await getChecklistSummary(id)
+    });
+
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get the prerequisites of a task and the tasks that depend on it
+router.get('/:id/dependencies', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    // Check if task exists and belongs to user
+    const existingTask = await query(
+      'SELECT id FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, req.user.id]
+    );
 
-    const queryText = `
-      SELECT
-        t.id, t.title, t.description, t.due_date, t.due_time,
-        t.priority, t.estimated_time, t.completed, t.completed_at,
-        t.created_at, t.updated_at,
-        s.name as subject_name, s.color as subject_color
-      FROM tasks t
-      JOIN subjects s ON t.subject_id = s.id
-      WHERE ${conditions.join(' AND ')}
-      ORDER BY t.${sortField} ${sortOrder}
-      LIMIT $${paramCount++} OFFSET $${paramCount++}
-    `;
+    if (existingTask.rows.length === 0) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
 
-    values.push(parseInt(limit), parseInt(offset));
+    const result = await query(`
+      SELECT t.id, t.title, t.due_date, t.completed, d.task_id = $1 as is_prerequisite
+      FROM task_dependencies d
+      JOIN tasks t ON t.id = CASE WHEN d.task_id = $1 THEN d.depends_on_id ELSE d.task_id END
+      WHERE (d.task_id = $1 OR d.depends_on_id = $1) AND t.deleted_at IS NULL
+      ORDER BY t.due_date, t.title
+    `, [id]);
 
-    const result = await query(queryText, values);
+    const formatLinkedTask = (task) => ({
+      id: task.id,
+      title: task.title,
+      dueDate: task.due_date,
+      completed: task.completed
+    });
 
     res.json({
-      tasks: result.rows.map(task => ({
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        dueDate: task.due_date,
-        dueTime: task.due_time,
-        priority: task.priority,
-        estimatedTime: task.estimated_time,
-        completed: task.completed,
-        completedAt: task.completed_at,
-        createdAt: task.created_at,
-        updatedAt: task.updated_at,
-        subject: {
-          name: task.subject_name,
-          color: task.subject_color
-        }
-      }))
+      prerequisites: result.rows.filter(task => task.is_prerequisite).map(formatLinkedTask),
+      dependents: result.rows.filter(task => !task.is_prerequisite).map(formatLinkedTask)
     });
 
   } catch (error) {
-    console.error('Get tasks error:', error);
+    console.error('Get dependencies error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// Create a new task
-router.post('/', [
+// Add a prerequisite to a task
+router.post('/:id/dependencies', [
   authenticateToken,
-  body('title').trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
-  body('subjectId').isUUID().withMessage('Valid subject ID is required'),
-  body('dueDate').isISO8601().withMessage('Valid due date is required'),
-  body('dueTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required (HH:MM)'),
-  body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Priority must be low, medium, or high'),
-  body('estimatedTime').optional().isInt({ min: 1 }).withMessage('Estimated time must be a positive integer'),
-  body('description').optional().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters')
+  param('id').isUUID().withMessage('Invalid task ID'),
+  body('dependsOnId').isUUID().withMessage('Valid prerequisite task ID is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -113,69 +2334,129 @@ router.post('/', [
       });
     }
 
-    const {
-      title,
-      subjectId,
-      dueDate,
-      dueTime,
-      priority = 'medium',
-      estimatedTime = 30,
-      description
-    } = req.body;
+    const { id } = req.params;
+    const { dependsOnId } = req.body;
 
-    // Verify subject belongs to user
-    const subjectCheck = await query(
-      'SELECT id FROM subjects WHERE id = $1 AND user_id = $2',
-      [subjectId, req.user.id]
+    if (id === dependsOnId) {
+      return res.status(400).json({ message: 'A task cannot depend on itself' });
+    }
+
+    // Both tasks must exist and belong to the user
+    const existingTasks = await query(
+      'SELECT id, recurrence FROM tasks WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL',
+      [[id, dependsOnId], req.user.id]
     );
 
-    if (subjectCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Subject not found' });
+    if (existingTasks.rows.length !== 2) {
+      return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Create the task
-    const result = await query(`
-      INSERT INTO tasks (user_id, subject_id, title, description, due_date, due_time, priority, estimated_time)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING id, title, description, due_date, due_time, priority, estimated_time, completed, created_at, updated_at
-    `, [req.user.id, subjectId, title, description, dueDate, dueTime, priority, estimatedTime]);
+    // Recurring tasks complete per occurrence, so they cannot block or be blocked
+    if (existingTasks.rows.some(task => task.recurrence)) {
+      return res.status(400).json({ message: 'Recurring tasks cannot have dependencies' });
+    }
 
-    const task = result.rows[0];
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Serialize dependency changes of the user so two links added at the
+      // same time cannot close a cycle between them
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+      // Adding the link must not close a cycle: the prerequisite may not
+      // (transitively) depend on this task already
+      const cycleCheck = await client.query(`
+        WITH RECURSIVE prerequisites AS (
+          SELECT depends_on_id FROM task_dependencies WHERE task_id = $1
+          UNION
+          SELECT d.depends_on_id
+          FROM task_dependencies d
+          JOIN prerequisites p ON d.task_id = p.depends_on_id
+        )
+        SELECT 1 FROM prerequisites WHERE depends_on_id = $2 LIMIT 1
+      `, [dependsOnId, id]);
+
+      if (cycleCheck.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: 'Dependency would create a cycle' });
+      }
+
+      const result = await client.query(`
+        INSERT INTO task_dependencies (task_id, depends_on_id)
+        VALUES ($1, $2)
+        ON CONFLICT DO NOTHING
+        RETURNING task_id
+      `, [id, dependsOnId]);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: 'Dependency already exists' });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.status(201).json({
-      message: 'Task created successfully',
-      task: {
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        dueDate: task.due_date,
-        dueTime: task.due_time,
-        priority: task.priority,
-        estimatedTime: task.estimated_time,
-        completed: task.completed,
-        createdAt: task.created_at,
-        updatedAt: task.updated_at
+      message: 'Dependency added successfully',
+      dependency: {
+        taskId: id,
+        dependsOnId
       }
     });
 
   } catch (error) {
-    console.error('Create task error:', error);
+    console.error('Add dependency error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// Update a task
-router.put('/:id', [
+// Remove a prerequisite from a task
+router.delete('/:id/dependencies/:dependsOnId', [
   authenticateToken,
   param('id').isUUID().withMessage('Invalid task ID'),
-  body('title').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
-  body('subjectId').optional().isUUID().withMessage('Valid subject ID is required'),
-  body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
-  body('dueTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required (HH:MM)'),
-  body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Priority must be low, medium, or high'),
-  body('estimatedTime').optional().isInt({ min: 1 }).withMessage('Estimated time must be a positive integer'),
-  body('description').optional().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
-  body('completed').optional().isBoolean().withMessage('Completed must be a boolean')
+  param('dependsOnId').isUUID().withMessage('Invalid prerequisite task ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await query(`
+      DELETE FROM task_dependencies d
+      USING tasks t
+      WHERE d.task_id = t.id AND d.task_id = $1 AND d.depends_on_id = $2 AND t.user_id = $3 AND t.deleted_at IS NULL
+      RETURNING d.task_id
+    `, [req.params.id, req.params.dependsOnId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Dependency not found' });
+    }
+
+    res.json({ message: 'Dependency removed successfully' });
+
+  } catch (error) {
+    console.error('Remove dependency error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Start a timer on a task. A user has one running timer, so a timer running
+// on another task is stopped and returned as `stopped`.
+router.post('/:id/timer/start', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -188,11 +2469,10 @@ router.put('/:id', [
     }
 
     const { id } = req.params;
-    const { title, subjectId, dueDate, dueTime, priority, estimatedTime, description, completed } = req.body;
 
     // Check if task exists and belongs to user
     const existingTask = await query(
-      'SELECT id, completed FROM tasks WHERE id = $1 AND user_id = $2',
+      'SELECT id FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [id, req.user.id]
     );
 
@@ -200,103 +2480,97 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // If subjectId is being updated, verify it belongs to user
-    if (subjectId) {
-      const subjectCheck = await query(
-        'SELECT id FROM subjects WHERE id = $1 AND user_id = $2',
-        [subjectId, req.user.id]
+    const client = await getClient();
+    let stopped;
+    let timer;
+
+    try {
+      await client.query('BEGIN');
+
+      // Serialize timer changes of the user
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+      const running = await client.query(
+        'SELECT task_id FROM task_time_entries WHERE user_id = $1 AND ended_at IS NULL',
+        [req.user.id]
       );
 
-      if (subjectCheck.rows.length === 0) {
-        return res.status(404).json({ message: 'Subject not found' });
+      if (running.rows.length > 0 && running.rows[0].task_id === id) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: 'Timer is already running for this task' });
       }
-    }
 
-    // Build update query dynamically
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
+      stopped = await stopRunningTimer(req.user.id, {}, client);
 
-    if (title !== undefined) {
-      updates.push(`title = $${paramCount++}`);
-      values.push(title);
-    }
-    if (subjectId !== undefined) {
-      updates.push(`subject_id = $${paramCount++}`);
-      values.push(subjectId);
-    }
-    if (dueDate !== undefined) {
-      updates.push(`due_date = $${paramCount++}`);
-      values.push(dueDate);
-    }
-    if (dueTime !== undefined) {
-      updates.push(`due_time = $${paramCount++}`);
-      values.push(dueTime);
-    }
-    if (priority !== undefined) {
-      updates.push(`priority = $${paramCount++}`);
-      values.push(priority);
-    }
-    if (estimatedTime !== undefined) {
-      updates.push(`estimated_time = $${paramCount++}`);
-      values.push(estimatedTime);
-    }
-    if (description !== undefined) {
-      updates.push(`description = $${paramCount++}`);
-      values.push(description);
-    }
-    if (completed !== undefined) {
-      updates.push(`completed = $${paramCount++}`);
-      values.push(completed);
+      const result = await client.query(`
+        INSERT INTO task_time_entries (user_id, task_id, source, started_at)
+        VALUES ($1, $2, 'timer', CURRENT_TIMESTAMP)
+        RETURNING *
+      `, [req.user.id, id]);
+      timer = result.rows[0];
 
-      // If marking as completed, set completed_at timestamp
-      if (completed && !existingTask.rows[0].completed) {
-        updates.push(`completed_at = CURRENT_TIMESTAMP`);
-      } else if (!completed) {
-        updates.push(`completed_at = NULL`);
-      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    if (updates.length === 0) {
-      return res.status(400).json({ message: 'No fields to update' });
+    res.status(201).json({
+      message: 'Timer started',
+      timer: formatTimeEntry(timer),
+      stopped: stopped ? formatTimeEntry(stopped) : null
+    });
+
+  } catch (error) {
+    console.error('Start timer error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Stop the timer running on a task and record the elapsed time
+router.post('/:id/timer/stop', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    values.push(id, req.user.id);
-    const updateQuery = `
-      UPDATE tasks
-      SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $${paramCount++} AND user_id = $${paramCount++}
-      RETURNING id, title, description, due_date, due_time, priority, estimated_time, completed, completed_at, created_at, updated_at
-    `;
+    const { id } = req.params;
 
-    const result = await query(updateQuery, values);
-    const task = result.rows[0];
+    const entry = await stopRunningTimer(req.user.id, { taskId: id });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'No timer is running for this task' });
+    }
+
+    const totals = await query(
+      'SELECT COALESCE(SUM(minutes), 0)::int as actual_time FROM task_time_entries WHERE task_id = $1',
+      [id]
+    );
 
     res.json({
-      message: 'Task updated successfully',
-      task: {
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        dueDate: task.due_date,
-        dueTime: task.due_time,
-        priority: task.priority,
-        estimatedTime: task.estimated_time,
-        completed: task.completed,
-        completedAt: task.completed_at,
-        createdAt: task.created_at,
-        updatedAt: task.updated_at
-      }
+      message: 'Timer stopped',
+      entry: formatTimeEntry(entry),
+      actualTime: totals.rows[0].actual_time
     });
 
   } catch (error) {
-    console.error('Update task error:', error);
+    console.error('Stop timer error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// Delete a task
-router.delete('/:id', [
+// Get the time entries of a task, newest first
+router.get('/:id/time-entries', [
   authenticateToken,
   param('id').isUUID().withMessage('Invalid task ID')
 ], async (req, res) => {
@@ -314,7 +2588,7 @@ router.delete('/:id', [
 
     // Check if task exists and belongs to user
     const existingTask = await query(
-      'SELECT id FROM tasks WHERE id = $1 AND user_id = $2',
+      'SELECT id, estimated_time FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [id, req.user.id]
     );
 
@@ -322,22 +2596,31 @@ router.delete('/:id', [
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Delete the task
-    await query('DELETE FROM tasks WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+    const result = await query(
+      'SELECT * FROM task_time_entries WHERE task_id = $1 ORDER BY started_at DESC',
+      [id]
+    );
 
-    res.json({ message: 'Task deleted successfully' });
+    res.json({
+      entries: result.rows.map(formatTimeEntry),
+      estimatedTime: existingTask.rows[0].estimated_time,
+      actualTime: result.rows.reduce((total, entry) => total + (entry.minutes || 0), 0)
+    });
 
   } catch (error) {
-    console.error('Delete task error:', error);
+    console.error('Get time entries error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// Mark task as completed/uncompleted
-router.patch('/:id/complete', [
+// Record time spent on a task without a timer. Without startedAt the entry
+// is taken to end now.
+router.post('/:id/time-entries', [
   authenticateToken,
   param('id').isUUID().withMessage('Invalid task ID'),
-  body('completed').isBoolean().withMessage('Completed must be a boolean')
+  body('minutes').isInt({ min: 1, max: MAX_ENTRY_MINUTES }).withMessage(`Minutes must be between 1 and ${MAX_ENTRY_MINUTES}`),
+  body('startedAt').optional().isISO8601().withMessage('Valid start time is required'),
+  body('note').optional().isLength({ max: 255 }).withMessage('Note must be less than 255 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -350,11 +2633,11 @@ router.patch('/:id/complete', [
     }
 
     const { id } = req.params;
-    const { completed } = req.body;
+    const { minutes, startedAt, note } = req.body;
 
     // Check if task exists and belongs to user
     const existingTask = await query(
-      'SELECT id, completed FROM tasks WHERE id = $1 AND user_id = $2',
+      'SELECT id FROM tasks WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [id, req.user.id]
     );
 
@@ -362,28 +2645,55 @@ router.patch('/:id/complete', [
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Update completion status
-    const completedAt = completed ? 'CURRENT_TIMESTAMP' : 'NULL';
     const result = await query(`
-      UPDATE tasks
-      SET completed = $1, completed_at = ${completedAt}, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2 AND user_id = $3
-      RETURNING id, completed, completed_at
-    `, [completed, id, req.user.id]);
-
-    const task = result.rows[0];
+      INSERT INTO task_time_entries (user_id, task_id, source, started_at, ended_at, minutes, note)
+      SELECT $1, $2, 'manual', start, start + INTERVAL '1 minute' * $3, $3, $4
+      FROM (SELECT COALESCE($5::timestamptz, CURRENT_TIMESTAMP - INTERVAL '1 minute' * $3) as start) s
+      RETURNING *
+    `, [req.user.id, id, minutes, note, startedAt]);
 
-    res.json({
-      message: `Task ${completed ? 'completed' : 'uncompleted'} successfully`,
-      task: {
-        id: task.id,
-        completed: task.completed,
-        completedAt: task.completed_at
-      }
+    res.status(201).json({
+      message: 'Time entry created successfully',
+      entry: formatTimeEntry(result.rows[0])
     });
 
   } catch (error) {
-    console.error('Complete task error:', error);
+    console.error('Create time entry error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete a time entry; deleting a running timer discards it
+router.delete('/:id/time-entries/:entryId', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid task ID'),
+  param('entryId').isUUID().withMessage('Invalid time entry ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await query(`
+      DELETE FROM task_time_entries e
+      USING tasks t
+      WHERE e.task_id = t.id AND e.id = $1 AND e.task_id = $2 AND t.user_id = $3 AND t.deleted_at IS NULL
+      RETURNING e.id
+    `, [req.params.entryId, req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+
+    res.json({ message: 'Time entry deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete time entry error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, PAT_SCOPES } = require('../middleware/auth');
+const { hashToken, generatePersonalAccessToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+const formatToken = (token) => ({
+  id: token.id,
+  name: token.name,
+  tokenPrefix: token.token_prefix,
+  scopes: token.scopes,
+  expiresAt: token.expires_at,
+  lastUsedAt: token.last_used_at,
+  createdAt: token.created_at
+});
+
+// List the authenticated user's active personal access tokens
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+      FROM personal_access_tokens
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `, [req.user.id]);
+
+    res.json({
+      tokens: result.rows.map(formatToken),
+      availableScopes: PAT_SCOPES
+    });
+
+  } catch (error) {
+    console.error('Get tokens error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create a personal access token (the plain token is only returned once)
+router.post('/', [
+  authenticateToken,
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Token name must be 1-100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(PAT_SCOPES).withMessage(`Scopes must be among: ${PAT_SCOPES.join(', ')}`),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('Expiry must be 1-365 days')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    // Check if a token with the same name already exists for this user
+    const existingToken = await query(
+      'SELECT id FROM personal_access_tokens WHERE user_id = $1 AND name = $2 AND revoked_at IS NULL',
+      [req.user.id, name]
+    );
+
+    if (existingToken.rows.length > 0) {
+      return res.status(409).json({ message: 'Token with this name already exists' });
+    }
+
+    const token = generatePersonalAccessToken();
+
+    const result = await query(`
+      INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + INTERVAL '1 day' * $6 END)
+      RETURNING id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+    `, [req.user.id, name, hashToken(token), token.slice(0, 12), [...new Set(scopes)], expiresInDays || null]);
+
+    res.status(201).json({
+      message: 'Personal access token created. Copy it now, it will not be shown again.',
+      token,
+      personalAccessToken: formatToken(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Revoke a personal access token
+router.delete('/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid token ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await query(`
+      UPDATE personal_access_tokens
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+
+    res.json({ message: 'Token revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
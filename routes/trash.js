@@ -0,0 +1,256 @@
+const express = require('express');
+const { param, query: queryValidator, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { TRASH_RETENTION_DAYS, TRASH_TYPES, purgeDate } = require('../utils/trash');
+const { removeOrphanedAttachments } = require('../utils/attachments');
+const { actorFromRequest, recordTaskHistory } = require('../utils/history');
+const { findSessionConflicts } = require('../utils/sessionConflicts');
+const { toDateString } = require('../utils/recurrence');
+
+const router = express.Router();
+
+const TYPE_NAMES = Object.keys(TRASH_TYPES);
+
+// List everything in the user's trash, most recently deleted first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const tasks = await query(`
+      SELECT t.id, t.title, t.due_date, t.deleted_at, s.name as subject_name
+      FROM tasks t
+      JOIN subjects s ON t.subject_id = s.id
+      WHERE t.user_id = $1 AND t.deleted_at IS NOT NULL
+      ORDER BY t.deleted_at DESC
+    `, [req.user.id]);
+
+    const sessions = await query(`
+      SELECT ss.id, ss.session_date, ss.start_time, ss.duration, ss.deleted_at, s.name as subject_name
+      FROM study_sessions ss
+      JOIN subjects s ON ss.subject_id = s.id
+      WHERE ss.user_id = $1 AND ss.deleted_at IS NOT NULL
+      ORDER BY ss.deleted_at DESC
+    `, [req.user.id]);
+
+    const subjects = await query(`
+      SELECT id, name, color, deleted_at
+      FROM subjects
+      WHERE user_id = $1 AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+    `, [req.user.id]);
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      tasks: tasks.rows.map(task => ({
+        id: task.id,
+        title: task.title,
+        dueDate: task.due_date,
+        subject: { name: task.subject_name },
+        deletedAt: task.deleted_at,
+        purgeAt: purgeDate(task.deleted_at)
+      })),
+      sessions: sessions.rows.map(session => ({
+        id: session.id,
+        sessionDate: session.session_date,
+        startTime: session.start_time,
+        duration: session.duration,
+        subject: { name: session.subject_name },
+        deletedAt: session.deleted_at,
+        purgeAt: purgeDate(session.deleted_at)
+      })),
+      subjects: subjects.rows.map(subject => ({
+        id: subject.id,
+        name: subject.name,
+        color: subject.color,
+        deletedAt: subject.deleted_at,
+        purgeAt: purgeDate(subject.deleted_at)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Restore a trashed task, session or subject. A session overlapping one
+// logged since is rejected with 409 unless allow_overlap=true, as when
+// creating it (see routes/sessions.js).
+router.post('/:type/:id/restore', [
+  authenticateToken,
+  param('type').isIn(TYPE_NAMES).withMessage(`Type must be one of: ${TYPE_NAMES.join(', ')}`),
+  param('id').isUUID().withMessage('Invalid ID'),
+  queryValidator('allow_overlap').optional().isBoolean().withMessage('allow_overlap must be true or false'),
+  queryValidator('include_tasks').optional().isBoolean().withMessage('include_tasks must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, id } = req.params;
+    const { table, label } = TRASH_TYPES[type];
+
+    // Check if item is in the user's trash
+    const existingItem = await query(
+      `SELECT * FROM ${table} WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL`,
+      [id, req.user.id]
+    );
+
+    if (existingItem.rows.length === 0) {
+      return res.status(404).json({ message: `${label} not found in trash` });
+    }
+
+    const item = existingItem.rows[0];
+
+    if (type === 'subjects') {
+      // Another subject may have taken the name in the meantime
+      const duplicateCheck = await query(
+        'SELECT id FROM subjects WHERE user_id = $1 AND name = $2 AND deleted_at IS NULL',
+        [req.user.id, item.name]
+      );
+
+      if (duplicateCheck.rows.length > 0) {
+        return res.status(409).json({ message: 'Subject with this name already exists' });
+      }
+    } else {
+      // Tasks and sessions need their subject back first
+      const subjectCheck = await query(
+        'SELECT id FROM subjects WHERE id = $1 AND deleted_at IS NULL',
+        [item.subject_id]
+      );
+
+      if (subjectCheck.rows.length === 0) {
+        return res.status(409).json({
+          message: 'The subject of this item is in the trash. Restore the subject first.',
+          subjectId: item.subject_id
+        });
+      }
+    }
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      if (type === 'sessions' && req.query.allow_overlap !== 'true') {
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+        const conflicts = await findSessionConflicts(req.user.id, {
+          sessionDate: toDateString(item.session_date),
+          startTime: item.start_time,
+          duration: item.duration,
+          excludeId: id,
+          includeTasks: req.query.include_tasks === 'true'
+        }, client);
+
+        if (conflicts.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            message: 'Study session overlaps existing items. Pass allow_overlap=true to restore it anyway.',
+            conflicts
+          });
+        }
+      }
+
+      await client.query(`UPDATE ${table} SET deleted_at = NULL WHERE id = $1`, [id]);
+
+      if (type === 'tasks') {
+        await recordTaskHistory(actorFromRequest(req), { task: item, action: 'restore' }, client);
+      }
+
+      // Tasks and sessions trashed together with their subject come back with it
+      if (type === 'subjects') {
+        const tasks = await client.query(
+          'UPDATE tasks SET deleted_at = NULL WHERE subject_id = $1 AND deleted_at = $2 RETURNING id, user_id, title',
+          [id, item.deleted_at]
+        );
+        await recordTaskHistory(actorFromRequest(req), tasks.rows.map(task => ({ task, action: 'restore' })), client);
+        await client.query(
+          'UPDATE study_sessions SET deleted_at = NULL WHERE subject_id = $1 AND deleted_at = $2',
+          [id, item.deleted_at]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: `${label} restored successfully`, id });
+
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Permanently delete a trashed item
+router.delete('/:type/:id', [
+  authenticateToken,
+  param('type').isIn(TYPE_NAMES).withMessage(`Type must be one of: ${TYPE_NAMES.join(', ')}`),
+  param('id').isUUID().withMessage('Invalid ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, id } = req.params;
+    const { table, label } = TRASH_TYPES[type];
+
+    const result = await query(
+      `DELETE FROM ${table} WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING id`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: `${label} not found in trash` });
+    }
+
+    await removeOrphanedAttachments();
+
+    res.json({ message: `${label} permanently deleted` });
+
+  } catch (error) {
+    console.error('Permanent delete error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Empty the trash
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const deleted = {};
+
+    for (const [type, { table }] of Object.entries(TRASH_TYPES)) {
+      const result = await query(
+        `DELETE FROM ${table} WHERE user_id = $1 AND deleted_at IS NOT NULL`,
+        [req.user.id]
+      );
+      deleted[type] = result.rowCount;
+    }
+
+    await removeOrphanedAttachments();
+
+    res.json({ message: 'Trash emptied successfully', deleted });
+
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -98,6 +98,358 @@ const createTables = async () => {
     `);
     console.log('✓ Progress logs table created');
 
+    // Token version lets us invalidate every outstanding access token of a user
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0');
+    // Accounts that existed before email verification are treated as verified;
+    // new accounts start unverified
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP');
+    await client.query('ALTER TABLE users ALTER COLUMN email_verified_at DROP DEFAULT');
+    // TOTP two-factor authentication (secret is pending until totp_enabled_at is set)
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT');
+    console.log('✓ Users auth columns added');
+
+    // Refresh tokens table (tokens rotate within a family; only hashes are stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        family_id UUID NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✓ Refresh tokens table created');
+
+    // Password reset tokens table (single-use, expiring; only hashes are stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✓ Password reset tokens table created');
+
+    // Email verification tokens table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✓ Email verification tokens table created');
+
+    // MFA recovery codes table (single-use; only hashes are stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✓ MFA recovery codes table created');
+
+    // User preferences table (one row per user, created on first save)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_preferences (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+        week_start SMALLINT NOT NULL DEFAULT 1 CHECK (week_start BETWEEN 0 AND 6), -- 0 = Sunday
+        daily_goal_minutes INTEGER NOT NULL DEFAULT 240,
+        weekly_goal_minutes INTEGER NOT NULL DEFAULT 1200,
+        default_task_duration INTEGER NOT NULL DEFAULT 30, -- in minutes
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✓ User preferences table created');
+
+    // Login throttles table (failed login tracking per email, including unknown ones)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_throttles (
+        email VARCHAR(255) PRIMARY KEY,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        locked_until TIMESTAMP WITH TIME ZONE
+      )
+    `);
+    console.log('✓ Login throttles table created');
+
+    // Verification resend throttles table (requests per email, including unknown ones)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS verification_resend_throttles (
+        email VARCHAR(255) PRIMARY KEY,
+        request_count INTEGER NOT NULL DEFAULT 0,
+        window_started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        last_requested_at TIMESTAMP WITH TIME ZONE NOT NULL
+      )
+    `);
+    console.log('✓ Verification resend throttles table created');
+
+    // Personal access tokens table (for scripts; only hashes are stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        token_prefix VARCHAR(20) NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        expires_at TIMESTAMP WITH TIME ZONE,
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✓ Personal access tokens table created');
+
+    // Recurrence rule for repeating tasks (the due date is the first occurrence)
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence JSONB');
+    console.log('✓ Task recurrence column added');
+
+    // Per-occurrence state and exceptions for recurring tasks
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_occurrences (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        occurrence_date DATE NOT NULL,
+        skipped BOOLEAN NOT NULL DEFAULT false,
+        completed BOOLEAN NOT NULL DEFAULT false,
+        completed_at TIMESTAMP WITH TIME ZONE,
+        title VARCHAR(255),
+        description TEXT,
+        due_date DATE,
+        due_time TIME,
+        priority VARCHAR(10) CHECK (priority IN ('low', 'medium', 'high')),
+        estimated_time INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (task_id, occurrence_date)
+      )
+    `);
+    console.log('✓ Task occurrences table created');
+
+    // Checklist items (subtasks) of a task
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_checklist_items (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        completed BOOLEAN NOT NULL DEFAULT false,
+        completed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS auto_complete BOOLEAN NOT NULL DEFAULT false');
+    console.log('✓ Task checklist items table created');
+
+    // Prerequisite links between tasks (task_id cannot start before depends_on_id)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_dependencies (
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        depends_on_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (task_id, depends_on_id),
+        CHECK (task_id <> depends_on_id)
+      )
+    `);
+    console.log('✓ Task dependencies table created');
+
+    // Full-text search vectors (titles weigh more than descriptions)
+    await client.query(`
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+          setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+        ) STORED
+    `);
+    await client.query(`
+      ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (to_tsvector('english', COALESCE(notes, ''))) STORED
+    `);
+    await client.query(`
+      ALTER TABLE subjects ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (to_tsvector('english', name)) STORED
+    `);
+    console.log('✓ Search vectors added');
+
+    // User-defined tags shared by tasks and study sessions
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(50) NOT NULL,
+        color VARCHAR(50) NOT NULL DEFAULT 'gray-500',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, name)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_tags (
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (task_id, tag_id)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_tags (
+        session_id UUID NOT NULL REFERENCES study_sessions(id) ON DELETE CASCADE,
+        tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (session_id, tag_id)
+      )
+    `);
+    console.log('✓ Tags tables created');
+
+    // Soft delete: deleted rows stay in the trash until purged
+    for (const table of ['tasks', 'study_sessions', 'subjects']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE`);
+    }
+    // Subject names only need to be unique among subjects that are not in the trash
+    await client.query('ALTER TABLE subjects DROP CONSTRAINT IF EXISTS subjects_user_id_name_key');
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_subjects_user_id_name
+      ON subjects(user_id, name) WHERE deleted_at IS NULL
+    `);
+    console.log('✓ Soft delete columns added');
+
+    // Archived subjects are hidden from pickers but keep their tasks and sessions
+    await client.query('ALTER TABLE subjects ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE');
+    console.log('✓ Subject archive column added');
+
+    // File attachments; permanently deleting a task or session only unlinks
+    // its attachments so the purge job can also remove the stored files
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+        session_id UUID REFERENCES study_sessions(id) ON DELETE SET NULL,
+        file_name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        storage_key VARCHAR(255) NOT NULL UNIQUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CHECK (task_id IS NULL OR session_id IS NULL)
+      )
+    `);
+    console.log('✓ Attachments table created');
+
+    // Overdue rollover: opt-in per user, with a per-task rollover counter
+    await client.query('ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS auto_rollover BOOLEAN NOT NULL DEFAULT FALSE');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS rollover_count INTEGER NOT NULL DEFAULT 0');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS last_rolled_over_at TIMESTAMP WITH TIME ZONE');
+    console.log('✓ Task rollover columns added');
+
+    // Change log of tasks: one row per create/update/complete/delete (or skip
+    // of a recurring task's occurrence) with the changed fields as
+    // { field: { from, to } } and the credential that acted.
+    // Rows outlive their task so the activity feed keeps purged items.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_history (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+        task_title VARCHAR(255) NOT NULL,
+        action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'complete', 'uncomplete', 'delete', 'restore', 'rollover', 'skip')),
+        changes JSONB NOT NULL DEFAULT '{}',
+        occurrence_date DATE,
+        actor_type VARCHAR(10) NOT NULL CHECK (actor_type IN ('jwt', 'pat', 'system')),
+        token_id UUID REFERENCES personal_access_tokens(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('ALTER TABLE task_history DROP CONSTRAINT IF EXISTS task_history_action_check');
+    await client.query(`
+      ALTER TABLE task_history ADD CONSTRAINT task_history_action_check
+        CHECK (action IN ('create', 'update', 'complete', 'uncomplete', 'delete', 'restore', 'rollover', 'skip'))
+    `);
+    console.log('✓ Task history table created');
+
+    // Time actually spent on tasks, from timers and manual entries. A running
+    // timer has no ended_at or minutes yet; each user has at most one.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_time_entries (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        source VARCHAR(10) NOT NULL CHECK (source IN ('timer', 'manual')),
+        started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        ended_at TIMESTAMP WITH TIME ZONE,
+        minutes INTEGER CHECK (minutes > 0),
+        note VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((ended_at IS NULL) = (minutes IS NULL))
+      )
+    `);
+    console.log('✓ Task time entries table created');
+
+    // Pomodoro cycle lengths for live study sessions
+    await client.query('ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS pomodoro_work_minutes INTEGER NOT NULL DEFAULT 25');
+    await client.query('ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS pomodoro_short_break_minutes INTEGER NOT NULL DEFAULT 5');
+    await client.query('ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS pomodoro_long_break_minutes INTEGER NOT NULL DEFAULT 15');
+    await client.query('ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS pomodoro_long_break_every INTEGER NOT NULL DEFAULT 4');
+    console.log('✓ Pomodoro preference columns added');
+
+    // A study session in progress (at most one per user) with the cycle
+    // lengths it was started with. Its work and break intervals move to the
+    // saved study session when it is stopped.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS live_sessions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        subject_id UUID NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+        notes TEXT,
+        tag_ids UUID[] NOT NULL DEFAULT '{}',
+        work_minutes INTEGER NOT NULL,
+        short_break_minutes INTEGER NOT NULL,
+        long_break_minutes INTEGER NOT NULL,
+        long_break_every INTEGER NOT NULL,
+        started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_intervals (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        live_session_id UUID REFERENCES live_sessions(id) ON DELETE CASCADE,
+        session_id UUID REFERENCES study_sessions(id) ON DELETE CASCADE,
+        phase VARCHAR(20) NOT NULL CHECK (phase IN ('work', 'short_break', 'long_break')),
+        cycle INTEGER NOT NULL,
+        started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        ended_at TIMESTAMP WITH TIME ZONE,
+        CHECK (live_session_id IS NOT NULL OR session_id IS NOT NULL)
+      )
+    `);
+    console.log('✓ Live sessions tables created');
+
+    // Tasks a study session worked on, with the minutes spent on each
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_tasks (
+        session_id UUID NOT NULL REFERENCES study_sessions(id) ON DELETE CASCADE,
+        task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        minutes INTEGER NOT NULL CHECK (minutes > 0),
+        PRIMARY KEY (session_id, task_id)
+      )
+    `);
+    console.log('✓ Session tasks table created');
+
     // Create indexes for better performance
     await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date)');
@@ -107,6 +459,33 @@ const createTables = async () => {
     await client.query('CREATE INDEX IF NOT EXISTS idx_study_sessions_date ON study_sessions(session_date)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_progress_logs_user_id ON progress_logs(user_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_progress_logs_date ON progress_logs(date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_task_occurrences_due_date ON task_occurrences(due_date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_task_checklist_items_task_id ON task_checklist_items(task_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on_id ON task_dependencies(depends_on_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN(search_vector)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_study_sessions_search ON study_sessions USING GIN(search_vector)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_subjects_search ON subjects USING GIN(search_vector)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_session_tags_tag_id ON session_tags(tag_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_study_sessions_deleted_at ON study_sessions(deleted_at) WHERE deleted_at IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_subjects_deleted_at ON subjects(deleted_at) WHERE deleted_at IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_attachments_user_id ON attachments(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_attachments_task_id ON attachments(task_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_attachments_session_id ON attachments(session_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_task_history_task_id ON task_history(task_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_task_history_user_id ON task_history(user_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_task_time_entries_task_id ON task_time_entries(task_id)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_task_time_entries_running ON task_time_entries(user_id) WHERE ended_at IS NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_session_intervals_live_session_id ON session_intervals(live_session_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_session_intervals_session_id ON session_intervals(session_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_session_tasks_task_id ON session_tasks(task_id)');
     console.log('✓ Database indexes created');
 
     // Create updated_at trigger function
@@ -121,7 +500,7 @@ const createTables = async () => {
     `);
 
     // Create triggers for updated_at columns
-    const tables = ['users', 'subjects', 'tasks', 'study_sessions'];
+    const tables = ['users', 'subjects', 'tasks', 'study_sessions', 'user_preferences', 'task_occurrences', 'task_checklist_items', 'tags'];
     for (const table of tables) {
       await client.query(`
         DROP TRIGGER IF EXISTS update_${table}_updated_at ON ${table};
@@ -19,8 +19,8 @@ const seedData = async () => {
     // Create test user
     const hashedPassword = await bcrypt.hash('testpassword123', 10);
     const userResult = await client.query(`
-      INSERT INTO users (email, password_hash, first_name, last_name)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO users (email, password_hash, first_name, last_name, email_verified_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
       ON CONFLICT (email) DO NOTHING
       RETURNING id
     `, ['test@example.com', hashedPassword, 'Test', 'User']);
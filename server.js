@@ -4,6 +4,8 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { scheduleTrashPurge } = require('./utils/trash');
+const { scheduleRollover } = require('./utils/rollover');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,11 +16,28 @@ app.use(helmet());
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
 
+// Stricter limiter for credential endpoints. Successful requests are not
+// counted, so a classroom sharing one IP is not locked out by normal logins;
+// per-account throttling is handled in the login route itself.
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20, // limit each IP to 20 failed attempts per windowMs
+  skipSuccessfulRequests: true,
+  message: 'Too many authentication attempts from this IP, please try again later.'
+});
+app.use([
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/refresh',
+  '/api/auth/password-reset',
+  '/api/auth/verify-email'
+], authLimiter);
+
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3001',
@@ -42,11 +61,19 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/mfa', require('./routes/mfa'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/subjects', require('./routes/subjects'));
+app.use('/api/tags', require('./routes/tags'));
 app.use('/api/tasks', require('./routes/tasks'));
 app.use('/api/sessions', require('./routes/sessions'));
 app.use('/api/progress', require('./routes/progress'));
+app.use('/api/preferences', require('./routes/preferences'));
+app.use('/api/tokens', require('./routes/tokens'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/attachments', require('./routes/attachments'));
+app.use('/api/activity', require('./routes/activity'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -66,6 +93,12 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
+
+  // Permanently remove trashed items past their retention period
+  scheduleTrashPurge();
+
+  // Move overdue tasks to today for users who opted in
+  scheduleRollover();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { query } = require('../config/database');
+const { getStorage } = require('./storage');
+
+// Upload limits; the quota covers all attachments of a user
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+const ATTACHMENT_QUOTA_BYTES = (parseInt(process.env.ATTACHMENT_QUOTA_MB) || 100) * 1024 * 1024;
+
+// Accepted file types with the leading bytes their content must start with
+// (checked so a renamed executable cannot pass as a PDF). Plain text has no
+// signature and is only checked for NUL bytes.
+const ALLOWED_TYPES = {
+  'application/pdf': [Buffer.from('%PDF')],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'image/webp': [Buffer.from('RIFF')],
+  'text/plain': []
+};
+const ALLOWED_MIME_TYPES = Object.keys(ALLOWED_TYPES);
+
+// Attachments belong to either a task or a study session
+const ATTACHMENT_LINKS = {
+  task: { column: 'task_id' },
+  session: { column: 'session_id' }
+};
+
+// Check that file content matches its declared MIME type
+const matchesMimeType = (mimeType, buffer) => {
+  if (mimeType === 'text/plain') {
+    return !buffer.includes(0);
+  }
+  if (mimeType === 'image/webp' && buffer.subarray(8, 12).toString() !== 'WEBP') {
+    return false;
+  }
+  return (ALLOWED_TYPES[mimeType] || []).some(signature => buffer.subarray(0, signature.length).equals(signature));
+};
+
+// Select expression for the attachments of a row, as a JSON array oldest first
+const attachmentsSql = (kind, idExpr) => {
+  const { column } = ATTACHMENT_LINKS[kind];
+  return `
+    COALESCE((
+      SELECT json_agg(json_build_object(
+        'id', a.id, 'fileName', a.file_name, 'mimeType', a.mime_type, 'size', a.size_bytes, 'createdAt', a.created_at
+      ) ORDER BY a.created_at)
+      FROM attachments a
+      WHERE a.${column} = ${idExpr}
+    ), '[]') as attachments
+  `;
+};
+
+// Bytes of attachment storage a user is using
+const getStorageUsage = async (userId, db = { query }) => {
+  const result = await db.query(
+    'SELECT COALESCE(SUM(size_bytes), 0) as used FROM attachments WHERE user_id = $1',
+    [userId]
+  );
+
+  return parseInt(result.rows[0].used);
+};
+
+// Remove the files of deleted attachment rows from storage. A file that
+// cannot be removed is logged and skipped.
+const removeAttachmentFiles = async (storageKeys) => {
+  const storage = getStorage();
+  for (const storageKey of storageKeys) {
+    try {
+      await storage.remove(storageKey);
+    } catch (error) {
+      console.error('Remove attachment file error:', error);
+    }
+  }
+};
+
+// Delete attachments whose task or session was permanently deleted (the
+// foreign keys set them to NULL) and remove their files from storage
+const removeOrphanedAttachments = async () => {
+  const result = await query(`
+    DELETE FROM attachments
+    WHERE task_id IS NULL AND session_id IS NULL
+    RETURNING storage_key
+  `);
+
+  await removeAttachmentFiles(result.rows.map(row => row.storage_key));
+
+  return result.rowCount;
+};
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_QUOTA_BYTES,
+  ALLOWED_MIME_TYPES,
+  ATTACHMENT_LINKS,
+  matchesMimeType,
+  attachmentsSql,
+  getStorageUsage,
+  removeAttachmentFiles,
+  removeOrphanedAttachments
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+// Ordering of tasks linked by prerequisites ("B depends on A" means A comes first)
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Default tie-break among tasks that are ready at the same time:
+// earliest due date and time first, then higher priority
+const compareTasks = (a, b) => {
+  const dueA = `${a.dueDate} ${a.dueTime || '99:99'}`;
+  const dueB = `${b.dueDate} ${b.dueTime || '99:99'}`;
+  if (dueA !== dueB) {
+    return dueA < dueB ? -1 : 1;
+  }
+  return (PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1);
+};
+
+// Topologically sort tasks (Kahn's algorithm). `edges` are
+// { taskId, dependsOnId } pairs; edges to tasks outside the list are ignored.
+// Tasks caught in a cycle (which the API prevents) are appended at the end.
+const topologicalOrder = (tasks, edges, compare = compareTasks) => {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const indegree = new Map(tasks.map(task => [task.id, 0]));
+  const dependents = new Map(tasks.map(task => [task.id, []]));
+
+  for (const { taskId, dependsOnId } of edges) {
+    if (!byId.has(taskId) || !byId.has(dependsOnId)) continue;
+    indegree.set(taskId, indegree.get(taskId) + 1);
+    dependents.get(dependsOnId).push(taskId);
+  }
+
+  let ready = tasks.filter(task => indegree.get(task.id) === 0);
+  const ordered = [];
+
+  while (ready.length > 0) {
+    ready.sort(compare);
+    const task = ready.shift();
+    ordered.push(task);
+
+    for (const dependentId of dependents.get(task.id)) {
+      indegree.set(dependentId, indegree.get(dependentId) - 1);
+      if (indegree.get(dependentId) === 0) {
+        ready.push(byId.get(dependentId));
+      }
+    }
+  }
+
+  if (ordered.length < tasks.length) {
+    const placed = new Set(ordered.map(task => task.id));
+    ordered.push(...tasks.filter(task => !placed.has(task.id)).sort(compare));
+  }
+
+  return ordered;
+};
+
+module.exports = {
+  topologicalOrder
+};
\ No newline at end of file
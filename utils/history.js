@@ -0,0 +1,129 @@
+const { query } = require('../config/database');
+const { toDateString } = require('./recurrence');
+
+// Task columns recorded in the change log, by the API field name they are
+// reported under
+const TRACKED_FIELDS = {
+  title: 'title',
+  description: 'description',
+  subjectId: 'subject_id',
+  dueDate: 'due_date',
+  dueTime: 'due_time',
+  priority: 'priority',
+  estimatedTime: 'estimated_time',
+  completed: 'completed',
+  recurrence: 'recurrence',
+  autoComplete: 'auto_complete'
+};
+
+const HISTORY_ACTIONS = ['create', 'update', 'complete', 'uncomplete', 'delete', 'restore', 'rollover', 'skip'];
+
+// Changes made by background jobs rather than a request
+const SYSTEM_ACTOR = { type: 'system', tokenId: null };
+
+// The credential a request was made with, as recorded in the change log
+const actorFromRequest = (req) => ({
+  type: req.auth.type,
+  tokenId: req.auth.tokenId || null
+});
+
+// Bring a column value to the form it is reported in (dates as YYYY-MM-DD,
+// times as HH:MM) so unchanged values compare equal
+const normalizeValue = (column, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (column === 'due_date') {
+    return toDateString(value);
+  }
+  if (column === 'due_time') {
+    return String(value).slice(0, 5);
+  }
+  return value;
+};
+
+// Field-level changes between two versions of a task row as
+// { field: { from, to } }. `before` is null for a new task; columns missing
+// from `after` were not loaded and are left out.
+const diffTask = (before, after) => {
+  const changes = {};
+
+  for (const [field, column] of Object.entries(TRACKED_FIELDS)) {
+    if (!(column in after)) {
+      continue;
+    }
+
+    const from = before ? normalizeValue(column, before[column]) : null;
+    const to = normalizeValue(column, after[column]);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+// Record one or more change log entries. Each entry is
+// { task, action, changes, occurrenceDate } where task has id, user_id and
+// title. Pass the transaction client as `db` when inside one.
+const recordTaskHistory = async (actor, entries, db = { query }) => {
+  const rows = [].concat(entries);
+  if (rows.length === 0) {
+    return;
+  }
+
+  const values = [];
+  const placeholders = rows.map(({ task, action, changes = {}, occurrenceDate = null }, index) => {
+    const offset = index * 8;
+    values.push(task.user_id, task.id, task.title, action, changes, occurrenceDate, actor.type, actor.tokenId);
+    return `(${Array.from({ length: 8 }, (_, i) => `$${offset + i + 1}`).join(', ')})`;
+  });
+
+  await db.query(`
+    INSERT INTO task_history (user_id, task_id, task_title, action, changes, occurrence_date, actor_type, token_id)
+    VALUES ${placeholders.join(', ')}
+  `, values);
+};
+
+// Record an edit of a task unless nothing tracked changed. Toggling only the
+// completion is logged as complete/uncomplete, anything else as update.
+const recordTaskUpdate = async (actor, { task, changes, occurrenceDate = null }, db = { query }) => {
+  const fields = Object.keys(changes);
+  if (fields.length === 0) {
+    return;
+  }
+
+  let action = 'update';
+  if (fields.length === 1 && fields[0] === 'completed') {
+    action = changes.completed.to ? 'complete' : 'uncomplete';
+  }
+
+  await recordTaskHistory(actor, { task, action, changes, occurrenceDate }, db);
+};
+
+// Shape a change log row for the API
+const formatHistoryEntry = (entry) => ({
+  id: entry.id,
+  taskId: entry.task_id,
+  taskTitle: entry.task_title,
+  action: entry.action,
+  changes: entry.changes,
+  occurrenceDate: entry.occurrence_date,
+  actor: {
+    type: entry.actor_type,
+    tokenId: entry.token_id,
+    tokenName: entry.token_name || null
+  },
+  createdAt: entry.created_at
+});
+
+module.exports = {
+  HISTORY_ACTIONS,
+  SYSTEM_ACTOR,
+  actorFromRequest,
+  diffTask,
+  recordTaskHistory,
+  recordTaskUpdate,
+  formatHistoryEntry
+};
\ No newline at end of file
@@ -0,0 +1,146 @@
+const { query, getClient } = require('../config/database');
+const { sendMail } = require('./mailer');
+
+// Failed logins are tracked per email (known or not, so responses never reveal
+// which accounts exist). After DELAY_AFTER failures each further attempt has to
+// wait an exponentially growing delay; at MAX_FAILURES the email is locked out.
+// Attempts are counted up front (see reserveLoginAttempt), so parallel
+// guesses cannot get past the limit before their failures are recorded.
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60;
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60;
+
+const delayForFailures = (failedCount) => {
+  if (failedCount < DELAY_AFTER) {
+    return 0;
+  }
+  return Math.min(2 ** (failedCount - DELAY_AFTER), MAX_DELAY_SECONDS);
+};
+
+// Reserve an attempt for this email before checking its credentials. The
+// attempt counts as a failure until clearLoginFailures (success) or
+// releaseLoginAttempt is called. The email's row is locked while deciding, so
+// concurrent attempts are counted one after another. A window that has passed
+// or a lockout that has expired starts counting afresh.
+// Returns { allowed: true } or { allowed: false, locked, retryAfter } (seconds).
+const reserveLoginAttempt = async (email) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      INSERT INTO login_throttles (email, failed_count, last_failed_at)
+      VALUES ($1, 0, CURRENT_TIMESTAMP)
+      ON CONFLICT (email) DO NOTHING
+    `, [email]);
+
+    const result = await client.query(`
+      SELECT
+        failed_count,
+        locked_until > CURRENT_TIMESTAMP as locked,
+        locked_until <= CURRENT_TIMESTAMP OR last_failed_at <= CURRENT_TIMESTAMP - INTERVAL '1 minute' * $2 as expired,
+        EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)) as lock_remaining,
+        EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - last_failed_at)) as since_last_failure
+      FROM login_throttles
+      WHERE email = $1
+      FOR UPDATE
+    `, [email, FAILURE_WINDOW_MINUTES]);
+
+    const throttle = result.rows[0];
+    let refusal = null;
+
+    if (throttle.locked) {
+      refusal = { allowed: false, locked: true, retryAfter: Math.ceil(parseFloat(throttle.lock_remaining)) };
+    } else if (!throttle.expired && throttle.failed_count >= MAX_FAILURES) {
+      // The limit was reached by attempts still in flight; the lockout is
+      // set once one of them fails
+      refusal = { allowed: false, locked: true, retryAfter: LOCKOUT_MINUTES * 60 };
+    } else if (!throttle.expired) {
+      const delay = delayForFailures(throttle.failed_count);
+      const sinceLastFailure = parseFloat(throttle.since_last_failure);
+      if (sinceLastFailure < delay) {
+        refusal = { allowed: false, locked: false, retryAfter: Math.ceil(delay - sinceLastFailure) };
+      }
+    }
+
+    if (!refusal) {
+      await client.query(`
+        UPDATE login_throttles
+        SET failed_count = $2, last_failed_at = CURRENT_TIMESTAMP, locked_until = NULL
+        WHERE email = $1
+      `, [email, (throttle.expired ? 0 : throttle.failed_count) + 1]);
+    }
+
+    await client.query('COMMIT');
+
+    return refusal || { allowed: true };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Record that a reserved attempt failed; locks the email once the failure
+// limit is reached. Only the failure that locks it notifies the account owner.
+const recordLoginFailure = async (email) => {
+  const lockResult = await query(`
+    UPDATE login_throttles
+    SET locked_until = CURRENT_TIMESTAMP + INTERVAL '1 minute' * $2
+    WHERE email = $1 AND failed_count >= $3
+      AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+    RETURNING locked_until
+  `, [email, LOCKOUT_MINUTES, MAX_FAILURES]);
+
+  if (lockResult.rows.length === 0) {
+    const current = await query(
+      'SELECT locked_until FROM login_throttles WHERE email = $1 AND locked_until > CURRENT_TIMESTAMP',
+      [email]
+    );
+    return current.rows.length > 0
+      ? { locked: true, lockedUntil: current.rows[0].locked_until }
+      : { locked: false };
+  }
+
+  const user = await query('SELECT email, first_name FROM users WHERE email = $1', [email]);
+  if (user.rows.length > 0) {
+    try {
+      await sendMail({
+        to: user.rows[0].email,
+        subject: 'Your StudyFlow account was temporarily locked',
+        text: `Hi ${user.rows[0].first_name},\n\n` +
+          `We locked sign-ins to your account for ${LOCKOUT_MINUTES} minutes after ${MAX_FAILURES} failed login attempts.\n\n` +
+          'If this was not you, consider resetting your password and enabling two-factor authentication.'
+      });
+    } catch (mailError) {
+      console.error('Lockout notification error:', mailError);
+    }
+  }
+
+  return { locked: true, lockedUntil: lockResult.rows[0].locked_until };
+};
+
+// Hand back a reserved attempt whose credentials were right but which is not
+// finished yet (a password login waiting for its second factor)
+const releaseLoginAttempt = async (email) => {
+  await query(
+    'UPDATE login_throttles SET failed_count = GREATEST(failed_count - 1, 0) WHERE email = $1',
+    [email]
+  );
+};
+
+// Forget failures after a successful login
+const clearLoginFailures = async (email) => {
+  await query('DELETE FROM login_throttles WHERE email = $1', [email]);
+};
+
+module.exports = {
+  reserveLoginAttempt,
+  recordLoginFailure,
+  releaseLoginAttempt,
+  clearLoginFailures
+};
\ No newline at end of file
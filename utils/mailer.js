@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Built-in transports. Each one receives a message { to, subject, text }.
+// Production deployments can plug in their own (e.g. SMTP) via registerTransport.
+const transports = {
+  // Print messages to stdout (default for local development)
+  console: () => async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('----------------------');
+  },
+
+  // Write each message as a JSON file into an outbox directory (useful for tests)
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'study-planner-mail');
+
+    return async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.promises.writeFile(
+        path.join(outboxDir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    };
+  }
+};
+
+let activeTransport = null;
+
+// Register a custom transport factory under a name selectable via MAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'StudyFlow <no-reply@studyflow.local>';
+  await getTransport()({ from, to, subject, text });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
\ No newline at end of file
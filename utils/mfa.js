@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared without dashes or case
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+// Replace a user's recovery codes with a fresh set; returns the plain codes
+// (they are only ever shown once, the database keeps hashes)
+const generateRecoveryCodes = async (userId, client) => {
+  const run = client ? client.query.bind(client) : query;
+  const codes = [];
+
+  await run('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    await run(
+      'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+    codes.push(code);
+  }
+
+  return codes;
+};
+
+// Verify a second factor for a user with TOTP enabled. Accepts either a
+// current TOTP code (each time step only once) or an unused recovery code.
+// Returns 'totp', 'recovery' or null.
+const verifySecondFactor = async (user, code) => {
+  if (!code) {
+    return null;
+  }
+
+  const step = verifyCode(user.totp_secret, code);
+  if (step !== null) {
+    // Reject replays of a code that was already accepted
+    const result = await query(`
+      UPDATE users SET totp_last_step = $1
+      WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+      RETURNING id
+    `, [step, user.id]);
+    return result.rows.length > 0 ? 'totp' : null;
+  }
+
+  const result = await query(`
+    UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    RETURNING id
+  `, [user.id, hashToken(normalizeRecoveryCode(code))]);
+
+  return result.rows.length > 0 ? 'recovery' : null;
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor
+};
\ No newline at end of file
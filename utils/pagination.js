@@ -0,0 +1,114 @@
+// Keyset (cursor) pagination for list endpoints. A page is ordered by a sort
+// column plus tie-breakers ending in the row ID, and the opaque `next` cursor
+// holds those values for the last row returned, so pages stay stable while
+// rows are added, completed or deleted.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 200;
+
+// Parse a comma-separated multi-value query parameter
+const parseList = (value) => [...new Set(String(value).split(',').map(item => item.trim()).filter(Boolean))];
+
+// express-validator custom validator for a comma-separated list whose items
+// must all pass `check`
+const listOf = (check, message) => (value) => {
+  const items = parseList(value);
+  if (items.length === 0 || !items.every(check)) {
+    throw new Error(message);
+  }
+  return true;
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Decode a cursor; returns null when it is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.sort !== 'string' || typeof payload.order !== 'string' ||
+      !Array.isArray(payload.after) || !payload.after.every(value => typeof value === 'string')) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// express-validator custom validator for a cursor parameter
+const validateCursor = (value) => {
+  if (!decodeCursor(value)) {
+    throw new Error('Invalid cursor');
+  }
+  return true;
+};
+
+const INT_MAX = 2147483647;
+
+// Whether a YYYY-MM-DD string is a real calendar date
+const isCalendarDate = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Checks for cursor values by the SQL type they are cast to, matching the
+// text form Postgres gives them (see cursorKeySql); anything else would fail
+// the cast in the query
+const CURSOR_VALUE_CHECKS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isCalendarDate(value),
+  time: value => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,6})?)?$/.test(value),
+  timestamptz: value => {
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})[ T]([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,6})?([+-]\d{2}(:?\d{2})?|Z)?$/);
+    return Boolean(match) && isCalendarDate(match[1]);
+  },
+  int: value => /^-?\d{1,10}$/.test(value) && Math.abs(Number(value)) <= INT_MAX,
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  varchar: () => true
+};
+
+// Whether the values of a decoded cursor fit the sort keys of a query, in
+// number and type
+const cursorMatchesKeys = (values, keys) =>
+  values.length === keys.length && keys.every((key, index) => CURSOR_VALUE_CHECKS[key.type](values[index]));
+
+// SQL condition selecting the rows after the cursor. `keys` are
+// { column, type } pairs in sort order and `firstParam` the number of the first
+// placeholder; the cursor values must be pushed to the query values in order.
+const keysetConditionSql = (keys, firstParam, order) => {
+  const columns = keys.map(key => key.column);
+  const params = keys.map((key, index) => `$${firstParam + index}::${key.type}`);
+  return `(${columns.join(', ')}) ${order === 'DESC' ? '<' : '>'} (${params.join(', ')})`;
+};
+
+// Select expression returning the key values of a row as text, for cursors
+const cursorKeySql = (keys) => `ARRAY[${keys.map(key => `${key.column}::text`).join(', ')}] as cursor_key`;
+
+// Build the pagination block of a list response from rows fetched with
+// LIMIT limit + 1 (the extra row only signals that there is a next page)
+const paginate = (rows, { limit, sort, order, total, cursorKey = row => row.cursor_key }) => {
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    page,
+    pagination: {
+      limit,
+      total,
+      hasMore,
+      next: hasMore ? encodeCursor({ sort, order, after: cursorKey(page[page.length - 1]) }) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseList,
+  listOf,
+  decodeCursor,
+  validateCursor,
+  cursorMatchesKeys,
+  keysetConditionSql,
+  cursorKeySql,
+  paginate
+};
\ No newline at end of file
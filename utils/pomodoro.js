@@ -0,0 +1,177 @@
+// Live study sessions follow Pomodoro cycles: a work phase, then a short
+// break, with a long break after every `long_break_every`-th work phase.
+// A session is stored as the intervals it actually ran (pausing closes the
+// open interval, resuming opens a new one in the same phase) and phases
+// change on their own once their planned length has passed. The timeline is
+// brought up to date whenever the session is loaded, so clients only need to
+// fetch it to show the right phase after a reload.
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// A session left running is paused once it is this old
+const MAX_LIVE_SESSION_HOURS = 12;
+
+const phaseMinutes = (session, phase) => ({
+  work: session.work_minutes,
+  short_break: session.short_break_minutes,
+  long_break: session.long_break_minutes
+})[phase];
+
+// The phase that follows `phase` of `cycle`
+const nextPhase = (session, { phase, cycle }) => {
+  if (phase !== 'work') {
+    return { phase: 'work', cycle: cycle + 1 };
+  }
+  return { phase: cycle % session.long_break_every === 0 ? 'long_break' : 'short_break', cycle };
+};
+
+const intervalLength = (interval, now) => (interval.ended_at || now).getTime() - interval.started_at.getTime();
+
+// Milliseconds spent in the phase of the last interval before it started
+// (a phase spans several intervals when it was paused)
+const spentBeforeLast = (intervals) => {
+  const last = intervals[intervals.length - 1];
+  return intervals
+    .slice(0, -1)
+    .filter(interval => interval.phase === last.phase && interval.cycle === last.cycle)
+    .reduce((total, interval) => total + intervalLength(interval), 0);
+};
+
+// When the phase of the last interval is planned to end if it keeps running
+const phaseEnd = (session, intervals) => {
+  const last = intervals[intervals.length - 1];
+  const remaining = phaseMinutes(session, last.phase) * MS_PER_MINUTE - spentBeforeLast(intervals);
+  return new Date(last.started_at.getTime() + remaining);
+};
+
+// Bring the intervals (oldest first) of a session up to `now`: every phase
+// that ran its planned length is closed and the next one opened, and a
+// session past its maximum age is paused. Returns the interval that was
+// closed, if any, and the new intervals to store.
+const advanceTimeline = (session, intervals, now) => {
+  const timeline = intervals.map(interval => ({ ...interval }));
+  const deadline = new Date(session.started_at.getTime() + MAX_LIVE_SESSION_HOURS * 60 * MS_PER_MINUTE);
+  const until = now < deadline ? now : deadline;
+  const originalLast = timeline[timeline.length - 1];
+
+  let last = originalLast;
+  while (!last.ended_at) {
+    const end = phaseEnd(session, timeline);
+    if (end > until) {
+      if (until === deadline) {
+        last.ended_at = deadline;
+      }
+      break;
+    }
+
+    last.ended_at = end;
+    last = { ...nextPhase(session, last), started_at: end, ended_at: null };
+    timeline.push(last);
+  }
+
+  return {
+    timeline,
+    closed: originalLast.ended_at !== intervals[intervals.length - 1].ended_at ? originalLast : null,
+    added: timeline.slice(intervals.length)
+  };
+};
+
+// Minutes spent working and on breaks
+const sumMinutes = (intervals, now) => {
+  const totals = { work: 0, break: 0 };
+  for (const interval of intervals) {
+    totals[interval.phase === 'work' ? 'work' : 'break'] += intervalLength(interval, now);
+  }
+  return {
+    workMinutes: Math.round(totals.work / MS_PER_MINUTE),
+    breakMinutes: Math.round(totals.break / MS_PER_MINUTE)
+  };
+};
+
+const formatInterval = (interval) => ({
+  phase: interval.phase,
+  cycle: interval.cycle,
+  startedAt: interval.started_at,
+  endedAt: interval.ended_at
+});
+
+// Shape a live session and its (advanced) intervals for the API
+const formatLiveSession = (session, intervals, now) => {
+  const last = intervals[intervals.length - 1];
+  const running = !last.ended_at;
+  const end = phaseEnd(session, intervals);
+  const remaining = running
+    ? end.getTime() - now.getTime()
+    : end.getTime() - last.ended_at.getTime();
+
+  return {
+    id: session.id,
+    status: running ? 'running' : 'paused',
+    phase: last.phase,
+    cycle: last.cycle,
+    phaseEndsAt: running ? end : null,
+    phaseRemainingSeconds: Math.max(0, Math.round(remaining / 1000)),
+    ...sumMinutes(intervals, now),
+    settings: {
+      workMinutes: session.work_minutes,
+      shortBreakMinutes: session.short_break_minutes,
+      longBreakMinutes: session.long_break_minutes,
+      longBreakEvery: session.long_break_every
+    },
+    subject: {
+      id: session.subject_id,
+      name: session.subject_name,
+      color: session.subject_color
+    },
+    notes: session.notes,
+    tagIds: session.tag_ids,
+    startedAt: session.started_at,
+    intervals: intervals.map(formatInterval)
+  };
+};
+
+// Load the user's live session with its intervals brought up to date, inside
+// a transaction on `client`; the session row stays locked until it ends.
+// Returns { session, intervals } or null.
+const loadLiveSession = async (client, userId, now) => {
+  const sessionResult = await client.query(`
+    SELECT ls.*, s.name as subject_name, s.color as subject_color
+    FROM live_sessions ls
+    JOIN subjects s ON ls.subject_id = s.id
+    WHERE ls.user_id = $1
+    FOR UPDATE OF ls
+  `, [userId]);
+
+  const session = sessionResult.rows[0];
+  if (!session) {
+    return null;
+  }
+
+  const intervalsResult = await client.query(
+    'SELECT * FROM session_intervals WHERE live_session_id = $1 ORDER BY started_at',
+    [session.id]
+  );
+
+  const { timeline, closed, added } = advanceTimeline(session, intervalsResult.rows, now);
+
+  if (closed) {
+    await client.query('UPDATE session_intervals SET ended_at = $1 WHERE id = $2', [closed.ended_at, closed.id]);
+  }
+  for (const interval of added) {
+    await client.query(`
+      INSERT INTO session_intervals (live_session_id, phase, cycle, started_at, ended_at)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [session.id, interval.phase, interval.cycle, interval.started_at, interval.ended_at]);
+  }
+
+  return { session, intervals: timeline };
+};
+
+module.exports = {
+  MAX_LIVE_SESSION_HOURS,
+  advanceTimeline,
+  sumMinutes,
+  formatInterval,
+  formatLiveSession,
+  loadLiveSession
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { query } = require('../config/database');
+
+// Defaults used until a user saves their own preferences
+const DEFAULT_PREFERENCES = {
+  timezone: 'UTC',
+  week_start: 1, // 0 = Sunday ... 6 = Saturday
+  daily_goal_minutes: 240,
+  weekly_goal_minutes: 1200,
+  default_task_duration: 30,
+  auto_rollover: false, // move overdue tasks to today automatically
+  pomodoro_work_minutes: 25,
+  pomodoro_short_break_minutes: 5,
+  pomodoro_long_break_minutes: 15,
+  pomodoro_long_break_every: 4 // work phases per long break
+};
+
+// Load a user's preferences, falling back to the defaults
+const getUserPreferences = async (userId) => {
+  const result = await query(`
+    SELECT
+      timezone, week_start, daily_goal_minutes, weekly_goal_minutes, default_task_duration, auto_rollover,
+      pomodoro_work_minutes, pomodoro_short_break_minutes, pomodoro_long_break_minutes, pomodoro_long_break_every
+    FROM user_preferences
+    WHERE user_id = $1
+  `, [userId]);
+
+  return result.rows.length > 0 ? result.rows[0] : { ...DEFAULT_PREFERENCES };
+};
+
+// Check that a string is an IANA timezone name the runtime understands
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date (YYYY-MM-DD) of an instant in the given timezone
+const localDate = (timezone, date = new Date()) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+// SQL expression for the first day of the week containing `dateExpr`,
+// where `weekStartExpr` evaluates to the week start day (0 = Sunday)
+const weekStartSql = (dateExpr, weekStartExpr) => {
+  return `(${dateExpr}::date - ((EXTRACT(DOW FROM ${dateExpr})::int - ${weekStartExpr}::int + 7) % 7))`;
+};
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  getUserPreferences,
+  isValidTimezone,
+  localDate,
+  weekStartSql
+};
\ No newline at end of file
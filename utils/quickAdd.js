@@ -0,0 +1,261 @@
+const { shiftDate } = require('./recurrence');
+
+// Parser for one-line task entries such as
+//   "Read physics ch 7 tomorrow 4pm !high ~45m #Physics"
+// Recognized parts are removed from the text and whatever is left becomes the
+// title:
+//   !high / !medium / !low (or !h, !m, !l)        priority
+//   ~45m, ~1h, ~1h30m, ~1.5h, ~90                 estimated time
+//   #Physics, #Linear_Algebra                      subject (fuzzy matched)
+//   4pm, 4:30pm, 16:00, noon (optionally "at")     due time
+//   today, tomorrow, in 3 days, in 2 weeks,
+//   friday, next friday, oct 20, 20 oct, 2024-10-20 (optionally "on"/"by"/"due")
+// A plain weekday is its next occurrence counting today; "next" adds a week.
+// Weekdays only count after "on"/"by"/"due"/"next" or at the end of the line,
+// so "SAT practice test" keeps its title.
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const PRIORITIES = { high: 'high', h: 'high', medium: 'medium', med: 'medium', m: 'medium', low: 'low', l: 'low' };
+
+// Largest estimate accepted from the text; longer ones are cut to this
+const MAX_ESTIMATED_MINUTES = 100 * 60;
+
+const WEEKDAY_PATTERN = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|rsday|urday)?';
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_PREFIX = '(?:(?:on|by|due)\\s+)?';
+const ISO_DATE_PATTERN = new RegExp(`(^|\\s)${DATE_PREFIX}(\\d{4}-\\d{2}-\\d{2})(?=\\s|$)`, 'i');
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Whether a YYYY-MM-DD string is a real calendar date (Date.parse rolls
+// 2025-02-30 over to March 1st instead of rejecting it)
+const isCalendarDate = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Next date on the given weekday (as written, e.g. "fri" or "friday"),
+// counting today; `next` skips a week ahead
+const upcomingWeekday = (today, name, next) => {
+  const weekday = WEEKDAYS.indexOf(name.toLowerCase().slice(0, 3));
+  const daysAhead = (weekday - weekdayOf(today) + 7) % 7;
+  return shiftDate(today, daysAhead + (next ? 7 : 0));
+};
+
+// Next date with the given month and day, counting today
+const upcomingMonthDay = (today, month, day) => {
+  let year = Number(today.slice(0, 4));
+  const candidate = (y) => `${y}-${pad(month + 1)}-${pad(day)}`;
+  if (candidate(year) < today) {
+    year++;
+  }
+  const date = candidate(year);
+  const check = new Date(`${date}T00:00:00Z`);
+  return check.getUTCMonth() === month ? date : null;
+};
+
+// Date rules in the order they are tried; each returns a date or null
+const DATE_RULES = [
+  {
+    pattern: ISO_DATE_PATTERN,
+    resolve: (match) => (isCalendarDate(match[2]) ? match[2] : null)
+  },
+  {
+    pattern: new RegExp(`(^|\\s)${DATE_PREFIX}(today|tod|tonight)(?=\\s|$)`, 'i'),
+    resolve: (match, today) => today
+  },
+  {
+    pattern: new RegExp(`(^|\\s)${DATE_PREFIX}(tomorrow|tmrw|tmr|tomorow)(?=\\s|$)`, 'i'),
+    resolve: (match, today) => shiftDate(today, 1)
+  },
+  {
+    pattern: /(^|\s)in\s+(\d{1,3})\s+(day|days|week|weeks)(?=\s|$)/i,
+    resolve: (match, today) => shiftDate(today, Number(match[2]) * (match[3].toLowerCase().startsWith('week') ? 7 : 1))
+  },
+  {
+    pattern: new RegExp(`(^|\\s)(?:(?:on|by|due)\\s+(next\\s+)?|(next)\\s+)${WEEKDAY_PATTERN}(?=\\s|$)`, 'i'),
+    resolve: (match, today) => upcomingWeekday(today, match[4], match[2] || match[3])
+  },
+  {
+    pattern: new RegExp(`(^|\\s)${WEEKDAY_PATTERN}(?=\\s*$)`, 'i'),
+    resolve: (match, today) => upcomingWeekday(today, match[2], false)
+  },
+  {
+    pattern: new RegExp(`(^|\\s)${DATE_PREFIX}${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?=\\s|$)`, 'i'),
+    resolve: (match, today) => upcomingMonthDay(today, MONTHS.indexOf(match[2].toLowerCase().slice(0, 3)), Number(match[3]))
+  },
+  {
+    pattern: new RegExp(`(^|\\s)${DATE_PREFIX}(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}(?=\\s|$)`, 'i'),
+    resolve: (match, today) => upcomingMonthDay(today, MONTHS.indexOf(match[3].toLowerCase().slice(0, 3)), Number(match[2]))
+  }
+];
+
+const TIME_RULES = [
+  {
+    pattern: /(^|\s)(?:at\s+|@)?(\d{1,2})(?::([0-5]\d))?\s?(am|pm)(?=\s|$)/i,
+    resolve: (match) => {
+      const hour = Number(match[2]);
+      if (hour < 1 || hour > 12) {
+        return null;
+      }
+      const hours24 = (hour % 12) + (match[4].toLowerCase() === 'pm' ? 12 : 0);
+      return `${pad(hours24)}:${match[3] || '00'}`;
+    }
+  },
+  {
+    pattern: /(^|\s)(?:at\s+|@)?([01]?\d|2[0-3]):([0-5]\d)(?=\s|$)/,
+    resolve: (match) => `${pad(Number(match[2]))}:${match[3]}`
+  },
+  {
+    pattern: /(^|\s)(?:at\s+)?(noon|midday)(?=\s|$)/i,
+    resolve: () => '12:00'
+  }
+];
+
+// Levenshtein distance, used to tolerate typos in subject names
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Best matching subject for a #term: exact name, then initials ("cs" for
+// "Computer Science"), prefix, substring and finally a close spelling
+const matchSubject = (term, subjects) => {
+  const wanted = normalize(term);
+  if (!wanted) {
+    return null;
+  }
+
+  let best = null;
+  for (const subject of subjects) {
+    const name = normalize(subject.name);
+    const initials = subject.name.split(/[\s_-]+/).map(word => word.charAt(0)).join('').toLowerCase();
+    let score = null;
+
+    if (name === wanted) {
+      score = 0;
+    } else if (initials.length > 1 && initials === wanted) {
+      score = 1;
+    } else if (name.startsWith(wanted)) {
+      score = 2;
+    } else if (name.includes(wanted)) {
+      score = 3;
+    } else {
+      const distance = editDistance(wanted, name);
+      if (distance <= Math.max(1, Math.floor(name.length / 4))) {
+        score = 3 + distance;
+      }
+    }
+
+    if (score !== null && (!best || score < best.score)) {
+      best = { subject, score };
+    }
+  }
+
+  return best ? best.subject : null;
+};
+
+// Find the first rule that matches and resolves; removes the match from the text
+const extract = (text, rules, ...args) => {
+  for (const { pattern, resolve } of rules) {
+    const match = text.match(pattern);
+    if (match) {
+      const value = resolve(match, ...args);
+      if (value !== null) {
+        return { value, text: text.replace(pattern, ' ') };
+      }
+    }
+  }
+  return { value: null, text };
+};
+
+// Parse a quick-add line. `today` is the user's local date (YYYY-MM-DD) and
+// `subjects` the subjects (id, name) a #term may refer to. Fields that were
+// not given are returned as null.
+const parseQuickAdd = (input, { today, subjects = [] }) => {
+  let text = ` ${input} `;
+  const warnings = [];
+
+  let priority = null;
+  const priorityMatch = text.match(/(^|\s)!(high|medium|med|low|h|m|l)(?=\s|$)/i);
+  if (priorityMatch) {
+    priority = PRIORITIES[priorityMatch[2].toLowerCase()];
+    text = text.replace(priorityMatch[0], ' ');
+  }
+
+  let estimatedTime = null;
+  const estimateMatch = text.match(/(^|\s)~(?:(\d+(?:\.\d+)?)h)?(?:(\d+)(?:m|min|mins)?)?(?=\s|$)/i);
+  if (estimateMatch && (estimateMatch[2] || estimateMatch[3])) {
+    estimatedTime = Math.round(Number(estimateMatch[2] || 0) * 60) + Number(estimateMatch[3] || 0);
+    text = text.replace(estimateMatch[0], ' ');
+    if (estimatedTime < 1) {
+      estimatedTime = null;
+      warnings.push('Estimated time must be at least one minute');
+    } else if (estimatedTime > MAX_ESTIMATED_MINUTES) {
+      estimatedTime = MAX_ESTIMATED_MINUTES;
+      warnings.push(`Estimated time was capped at ${MAX_ESTIMATED_MINUTES / 60} hours`);
+    }
+  }
+
+  let subject = null;
+  let subjectTerm = null;
+  const subjectMatch = text.match(/(^|\s)#([^\s#]+)/);
+  if (subjectMatch) {
+    subjectTerm = subjectMatch[2].replace(/[_-]+/g, ' ');
+    subject = matchSubject(subjectTerm, subjects);
+    text = text.replace(subjectMatch[0], ' ');
+    if (!subject) {
+      warnings.push(`No subject matches "${subjectTerm}"`);
+    }
+  }
+
+  const time = extract(text, TIME_RULES);
+  text = time.text;
+
+  const date = extract(text, DATE_RULES, today);
+  text = date.text;
+
+  // An impossible date such as 2025-02-30 stays in the title
+  const invalidDate = !date.value && text.match(ISO_DATE_PATTERN);
+  if (invalidDate) {
+    warnings.push(`"${invalidDate[2]}" is not a valid date`);
+  }
+
+  const title = text
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\s+(at|on|by|due)$/i, '');
+
+  return {
+    title,
+    dueDate: date.value,
+    dueTime: time.value,
+    priority,
+    estimatedTime,
+    subject: subject ? { id: subject.id, name: subject.name } : null,
+    subjectTerm,
+    warnings
+  };
+};
+
+module.exports = {
+  MAX_ESTIMATED_MINUTES,
+  parseQuickAdd,
+  matchSubject
+};
\ No newline at end of file
@@ -0,0 +1,219 @@
+// Recurrence rules for repeating tasks, modelled on a subset of iCalendar RRULE
+// (RFC 5545): FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly only), COUNT
+// and UNTIL. Rules are stored as normalized JSON:
+//   { freq: 'weekly', interval: 1, byWeekday: [1, 3], count: 10, until: null }
+// All dates are calendar dates ('YYYY-MM-DD'); weekdays are 0 = Sunday.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Date helpers working on UTC midnight so DST never shifts a day
+const parseDate = (value) => {
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    // pg returns DATE columns as local midnight
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+// Shift a 'YYYY-MM-DD' date by a number of days
+const shiftDate = (value, days) => formatDate(addDays(parseDate(toDateString(value)), days));
+
+// Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" into a rule object
+const parseRRule = (rrule) => {
+  const rule = {};
+
+  for (const part of rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'BYDAY':
+        rule.byWeekday = value.split(',').map(day => RRULE_DAYS.indexOf(day.toUpperCase()));
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'UNTIL':
+        rule.until = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  return rule;
+};
+
+// Validate and normalize a rule given as an object or RRULE string.
+// Throws an Error with a user-facing message when the rule is invalid.
+const normalizeRule = (input) => {
+  const rule = typeof input === 'string' ? parseRRule(input) : { ...input };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error('Recurrence frequency must be daily, weekly or monthly');
+  }
+
+  const interval = rule.interval === undefined ? 1 : rule.interval;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    throw new Error('Recurrence interval must be an integer between 1 and 365');
+  }
+
+  let byWeekday = null;
+  if (rule.byWeekday !== undefined && rule.byWeekday !== null) {
+    if (rule.freq !== 'weekly') {
+      throw new Error('Weekdays can only be set for weekly recurrence');
+    }
+    if (!Array.isArray(rule.byWeekday) || rule.byWeekday.length === 0 ||
+      !rule.byWeekday.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new Error('Recurrence weekdays must be a non-empty list of 0 (Sunday) to 6 (Saturday)');
+    }
+    byWeekday = [...new Set(rule.byWeekday)].sort();
+  }
+
+  const count = rule.count === undefined ? null : rule.count;
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > 1000)) {
+    throw new Error('Recurrence count must be an integer between 1 and 1000');
+  }
+
+  const until = rule.until === undefined ? null : rule.until;
+  if (until !== null && !/^\d{4}-\d{2}-\d{2}$/.test(until)) {
+    throw new Error('Recurrence end date must be in YYYY-MM-DD format');
+  }
+
+  if (count !== null && until !== null) {
+    throw new Error('Recurrence can end by count or by date, not both');
+  }
+
+  return { freq: rule.freq, interval, byWeekday, count, until };
+};
+
+// express-validator custom validator for a recurrence field
+const validateRecurrence = (value) => {
+  if (value === null) {
+    return true;
+  }
+  normalizeRule(value);
+  return true;
+};
+
+// Render a stored rule back as an RRULE string
+const toRRuleString = (rule) => {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+  if (rule.byWeekday) {
+    parts.push(`BYDAY=${rule.byWeekday.map(day => RRULE_DAYS[day]).join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+// Iterate over all occurrence dates of a series in order (lazily)
+function* iterateOccurrences(rule, seriesStart) {
+  const start = parseDate(seriesStart);
+  const until = rule.until ? parseDate(rule.until) : null;
+  let emitted = 0;
+
+  const emit = (date) => {
+    if ((until && date > until) || (rule.count && emitted >= rule.count)) {
+      return false;
+    }
+    emitted++;
+    return true;
+  };
+
+  if (rule.freq === 'daily') {
+    for (let date = start; ; date = addDays(date, rule.interval)) {
+      if (!emit(date)) return;
+      yield formatDate(date);
+    }
+  }
+
+  if (rule.freq === 'weekly') {
+    const weekdays = rule.byWeekday || [start.getUTCDay()];
+    // Weeks are counted from the (Sunday-based) week containing the series start
+    const firstWeekStart = addDays(start, -start.getUTCDay());
+
+    for (let weekStart = firstWeekStart; ; weekStart = addDays(weekStart, 7 * rule.interval)) {
+      for (const weekday of weekdays) {
+        const date = addDays(weekStart, weekday);
+        if (date < start) continue;
+        if (!emit(date)) return;
+        yield formatDate(date);
+      }
+    }
+  }
+
+  if (rule.freq === 'monthly') {
+    const dayOfMonth = start.getUTCDate();
+
+    for (let monthOffset = 0; ; monthOffset += rule.interval) {
+      const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + monthOffset, dayOfMonth));
+      // Months without this day (e.g. the 31st) are skipped, as in RFC 5545
+      if (date.getUTCDate() !== dayOfMonth) {
+        if (until && date > until) return;
+        continue;
+      }
+      if (!emit(date)) return;
+      yield formatDate(date);
+    }
+  }
+}
+
+// Occurrence dates of a series that fall within [rangeStart, rangeEnd]
+const expandOccurrences = (rule, seriesStart, rangeStart, rangeEnd) => {
+  const dates = [];
+  const from = toDateString(rangeStart);
+  const to = toDateString(rangeEnd);
+
+  for (const date of iterateOccurrences(rule, toDateString(seriesStart))) {
+    if (date > to) break;
+    if (date >= from) dates.push(date);
+  }
+
+  return dates;
+};
+
+// Whether a date is an occurrence of the series
+const isOccurrence = (rule, seriesStart, date) => {
+  return expandOccurrences(rule, seriesStart, date, date).length > 0;
+};
+
+// Number of occurrences strictly before a date (used when splitting a series)
+const countOccurrencesBefore = (rule, seriesStart, date) => {
+  let count = 0;
+  for (const occurrence of iterateOccurrences(rule, toDateString(seriesStart))) {
+    if (occurrence >= toDateString(date)) break;
+    count++;
+  }
+  return count;
+};
+
+module.exports = {
+  normalizeRule,
+  validateRecurrence,
+  toRRuleString,
+  expandOccurrences,
+  isOccurrence,
+  countOccurrencesBefore,
+  toDateString,
+  shiftDate
+};
\ No newline at end of file
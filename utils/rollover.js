@@ -0,0 +1,74 @@
+const { query } = require('../config/database');
+const { DEFAULT_PREFERENCES } = require('./preferences');
+const { SYSTEM_ACTOR } = require('./history');
+
+const ROLLOVER_INTERVAL_MS = 60 * 60 * 1000;
+
+// SQL expression for the current date of a user in their timezone
+const userTodaySql = (userIdExpr) => `
+  (CURRENT_TIMESTAMP AT TIME ZONE COALESCE(
+    (SELECT timezone FROM user_preferences WHERE user_id = ${userIdExpr}),
+    '${DEFAULT_PREFERENCES.timezone}'
+  ))::date
+`;
+
+// Condition for an overdue task (aliased as t): open, not recurring and due
+// before today. Occurrences of recurring tasks are checked when expanded.
+const OVERDUE_CONDITION = `(NOT t.completed AND t.recurrence IS NULL AND t.due_date < ${userTodaySql('t.user_id')})`;
+
+// Move overdue tasks to their owner's today, counting each move and logging
+// it in the task history as done by `actor`. Without a userId only users who
+// enabled auto rollover are processed.
+// Returns the rolled over tasks as { id, user_id, due_date, rollover_count }.
+const rolloverOverdueTasks = async ({ userId = null, actor = SYSTEM_ACTOR } = {}) => {
+  const values = [actor.type, actor.tokenId];
+  if (userId) {
+    values.push(userId);
+  }
+
+  const result = await query(`
+    WITH overdue AS (
+      SELECT t.id, t.due_date as previous_due_date
+      FROM tasks t
+      WHERE ${OVERDUE_CONDITION}
+        AND t.deleted_at IS NULL
+        AND ${userId ? 't.user_id = $3' : 't.user_id IN (SELECT user_id FROM user_preferences WHERE auto_rollover)'}
+      FOR UPDATE
+    ), rolled AS (
+      UPDATE tasks t
+      SET
+        due_date = ${userTodaySql('t.user_id')},
+        rollover_count = t.rollover_count + 1,
+        last_rolled_over_at = CURRENT_TIMESTAMP
+      FROM overdue o
+      WHERE t.id = o.id
+      RETURNING t.id, t.user_id, t.title, t.due_date, o.previous_due_date, t.rollover_count
+    ), logged AS (
+      INSERT INTO task_history (user_id, task_id, task_title, action, changes, actor_type, token_id)
+      SELECT
+        user_id, id, title, 'rollover',
+        jsonb_build_object('dueDate', jsonb_build_object('from', previous_due_date, 'to', due_date)),
+        $1, $2::uuid
+      FROM rolled
+    )
+    SELECT id, user_id, due_date, rollover_count FROM rolled
+  `, values);
+
+  return result.rows;
+};
+
+// Run the rollover now and then hourly, so every timezone is handled
+// shortly after its midnight
+const scheduleRollover = () => {
+  const run = () => rolloverOverdueTasks().catch(error => console.error('Task rollover error:', error));
+
+  run();
+  setInterval(run, ROLLOVER_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  userTodaySql,
+  OVERDUE_CONDITION,
+  rolloverOverdueTasks,
+  scheduleRollover
+};
\ No newline at end of file
@@ -0,0 +1,185 @@
+const { query } = require('../config/database');
+
+// Longest study session; anything longer is a typo rather than a session
+// that runs past midnight
+const MAX_SESSION_MINUTES = 24 * 60;
+
+// Start and end of a study session (aliased as `alias`) as timestamps, so
+// sessions running past midnight compare correctly
+const sessionRangeSql = (alias) => ({
+  start: `(${alias}.session_date + ${alias}.start_time)`,
+  end: `(${alias}.session_date + ${alias}.start_time + ${alias}.duration * INTERVAL '1 minute')`
+});
+
+// The same for a timed task, which is blocked out from its due time for its
+// estimated time
+const taskRangeSql = (alias) => ({
+  start: `(${alias}.due_date + ${alias}.due_time)`,
+  end: `(${alias}.due_date + ${alias}.due_time + ${alias}.estimated_time * INTERVAL '1 minute')`
+});
+
+// Open, non-recurring tasks with a due time (occurrences of recurring tasks
+// are not checked)
+const TIMED_TASK_CONDITION = 't.due_time IS NOT NULL AND NOT t.completed AND t.recurrence IS NULL AND t.deleted_at IS NULL';
+
+const overlapsSql = (a, b) => `${a.start} < ${b.end} AND ${b.start} < ${a.end}`;
+
+const overlapMinutesSql = (a, b) =>
+  `ROUND(EXTRACT(EPOCH FROM (LEAST(${a.end}, ${b.end}) - GREATEST(${a.start}, ${b.start}))) / 60)::int`;
+
+const formatSubject = (row) => ({
+  id: row.subject_id,
+  name: row.subject_name,
+  color: row.subject_color
+});
+
+// Shape an overlapping session or task for the API
+const formatSessionConflict = (row) => ({
+  type: 'session',
+  id: row.id,
+  subject: formatSubject(row),
+  sessionDate: row.session_date,
+  startTime: row.start_time,
+  duration: row.duration,
+  overlapMinutes: row.overlap_minutes
+});
+
+const formatTaskConflict = (row) => ({
+  type: 'task',
+  id: row.id,
+  title: row.title,
+  subject: formatSubject(row),
+  dueDate: row.due_date,
+  dueTime: row.due_time,
+  estimatedTime: row.estimated_time,
+  overlapMinutes: row.overlap_minutes
+});
+
+// Sessions (and with `includeTasks` timed tasks) of the user that overlap a
+// session on `sessionDate` at `startTime` lasting `duration` minutes.
+// `excludeId` leaves out the session being edited.
+const findSessionConflicts = async (userId, { sessionDate, startTime, duration, excludeId = null, includeTasks = false }, db = { query }) => {
+  const candidate = {
+    start: '($2::date + $3::time)',
+    end: `($2::date + $3::time + $4::int * INTERVAL '1 minute')`
+  };
+  const values = [userId, sessionDate, startTime, duration];
+
+  const sessionRange = sessionRangeSql('s');
+  const sessions = await db.query(`
+    SELECT
+      s.id, s.session_date, s.start_time, s.duration,
+      sub.id as subject_id, sub.name as subject_name, sub.color as subject_color,
+      ${overlapMinutesSql(sessionRange, candidate)} as overlap_minutes
+    FROM study_sessions s
+    JOIN subjects sub ON s.subject_id = sub.id
+    WHERE s.user_id = $1 AND s.deleted_at IS NULL
+      AND ($5::uuid IS NULL OR s.id <> $5)
+      AND ${overlapsSql(sessionRange, candidate)}
+    ORDER BY ${sessionRange.start}
+  `, [...values, excludeId]);
+
+  let tasks = { rows: [] };
+  if (includeTasks) {
+    const taskRange = taskRangeSql('t');
+    tasks = await db.query(`
+      SELECT
+        t.id, t.title, t.due_date, t.due_time, t.estimated_time,
+        sub.id as subject_id, sub.name as subject_name, sub.color as subject_color,
+        ${overlapMinutesSql(taskRange, candidate)} as overlap_minutes
+      FROM tasks t
+      JOIN subjects sub ON t.subject_id = sub.id
+      WHERE t.user_id = $1 AND ${TIMED_TASK_CONDITION}
+        AND ${overlapsSql(taskRange, candidate)}
+      ORDER BY ${taskRange.start}
+    `, values);
+  }
+
+  return [
+    ...sessions.rows.map(formatSessionConflict),
+    ...tasks.rows.map(formatTaskConflict)
+  ];
+};
+
+// Pairs of the user's sessions that overlap each other (and with
+// `includeTasks` sessions overlapping timed tasks), for auditing existing
+// data. Each pair is { session, conflictsWith } with the earlier session
+// first; `startDate`/`endDate` limit the dates of that session.
+const findConflictPairs = async (userId, { startDate = null, endDate = null, includeTasks = false }, db = { query }) => {
+  const first = sessionRangeSql('a');
+  const dateConditions = `
+    AND ($2::date IS NULL OR a.session_date >= $2)
+    AND ($3::date IS NULL OR a.session_date <= $3)
+  `;
+  const values = [userId, startDate, endDate];
+
+  const firstColumns = `
+    a.id as first_id, a.session_date as first_session_date, a.start_time as first_start_time,
+    a.duration as first_duration, asub.id as first_subject_id, asub.name as first_subject_name,
+    asub.color as first_subject_color
+  `;
+
+  const second = sessionRangeSql('s');
+  const sessions = await db.query(`
+    SELECT
+      ${firstColumns},
+      s.id, s.session_date, s.start_time, s.duration,
+      sub.id as subject_id, sub.name as subject_name, sub.color as subject_color,
+      ${overlapMinutesSql(first, second)} as overlap_minutes,
+      ${first.start} as sort_start
+    FROM study_sessions a
+    JOIN subjects asub ON a.subject_id = asub.id
+    JOIN study_sessions s ON s.user_id = a.user_id
+      AND s.deleted_at IS NULL
+      AND (${first.start}, a.id) < (${second.start}, s.id)
+      AND ${overlapsSql(first, second)}
+    JOIN subjects sub ON s.subject_id = sub.id
+    WHERE a.user_id = $1 AND a.deleted_at IS NULL ${dateConditions}
+  `, values);
+
+  let tasks = { rows: [] };
+  if (includeTasks) {
+    const task = taskRangeSql('t');
+    tasks = await db.query(`
+      SELECT
+        ${firstColumns},
+        t.id, t.title, t.due_date, t.due_time, t.estimated_time,
+        sub.id as subject_id, sub.name as subject_name, sub.color as subject_color,
+        ${overlapMinutesSql(first, task)} as overlap_minutes,
+        ${first.start} as sort_start
+      FROM study_sessions a
+      JOIN subjects asub ON a.subject_id = asub.id
+      JOIN tasks t ON t.user_id = a.user_id AND ${TIMED_TASK_CONDITION} AND ${overlapsSql(first, task)}
+      JOIN subjects sub ON t.subject_id = sub.id
+      WHERE a.user_id = $1 AND a.deleted_at IS NULL ${dateConditions}
+    `, values);
+  }
+
+  const pairs = [
+    ...sessions.rows.map(row => [row, formatSessionConflict(row)]),
+    ...tasks.rows.map(row => [row, formatTaskConflict(row)])
+  ];
+
+  return pairs
+    .sort(([a], [b]) => a.sort_start - b.sort_start)
+    .map(([row, conflictsWith]) => ({
+      session: {
+        id: row.first_id,
+        subject: {
+          id: row.first_subject_id,
+          name: row.first_subject_name,
+          color: row.first_subject_color
+        },
+        sessionDate: row.first_session_date,
+        startTime: row.first_start_time,
+        duration: row.first_duration
+      },
+      conflictsWith
+    }));
+};
+
+module.exports = {
+  MAX_SESSION_MINUTES,
+  findSessionConflicts,
+  findConflictPairs
+};
\ No newline at end of file
@@ -0,0 +1,135 @@
+const { query } = require('../config/database');
+const { recordTaskHistory } = require('./history');
+const { stopRunningTimer } = require('./timeTracking');
+
+// Select expression for the tasks a session (idExpr) worked on with the
+// minutes allocated to each, as a JSON array ordered by title. Tasks in the
+// trash are left out.
+const sessionTasksSql = (idExpr) => `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'id', lt.id, 'title', lt.title, 'completed', lt.completed, 'minutes', st.minutes
+    ) ORDER BY lt.title)
+    FROM session_tasks st
+    JOIN tasks lt ON st.task_id = lt.id
+    WHERE st.session_id = ${idExpr} AND lt.deleted_at IS NULL
+  ), '[]') as tasks
+`;
+
+// Select expression for the minutes of study sessions linked to a task
+// (idExpr); sessions in the trash do not count
+const sessionTimeSql = (idExpr) => `
+  (
+    SELECT COALESCE(SUM(st.minutes), 0)
+    FROM session_tasks st
+    JOIN study_sessions ls ON st.session_id = ls.id
+    WHERE st.task_id = ${idExpr} AND ls.deleted_at IS NULL
+  )::int as session_time
+`;
+
+// express-validator custom validator for a `tasks` body field: each task
+// linked at most once
+const validateTaskLinks = (links) => {
+  const taskIds = links.map(link => link && link.taskId);
+  if (new Set(taskIds).size !== taskIds.length) {
+    throw new Error('Each task can be linked once');
+  }
+  return true;
+};
+
+// Minutes allocated over all links
+const allocatedMinutes = (links) => links.reduce((total, link) => total + link.minutes, 0);
+
+// Check that every linked task belongs to the user and is not in the trash
+const userOwnsTasks = async (userId, links, db = { query }) => {
+  if (links.length === 0) {
+    return true;
+  }
+
+  const taskIds = links.map(link => link.taskId);
+  const result = await db.query(
+    'SELECT COUNT(*) as count FROM tasks WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL',
+    [taskIds, userId]
+  );
+
+  return parseInt(result.rows[0].count) === taskIds.length;
+};
+
+// Replace the tasks linked to a session; returns the new links ordered by
+// title. Ownership must be checked beforehand with userOwnsTasks.
+const replaceSessionTasks = async (sessionId, links, db = { query }) => {
+  await db.query('DELETE FROM session_tasks WHERE session_id = $1', [sessionId]);
+  await db.query(`
+    INSERT INTO session_tasks (session_id, task_id, minutes)
+    SELECT $1, link.task_id, link.minutes
+    FROM unnest($2::uuid[], $3::int[]) as link(task_id, minutes)
+  `, [sessionId, links.map(link => link.taskId), links.map(link => link.minutes)]);
+
+  const result = await db.query(`
+    SELECT t.id, t.title, t.completed, st.minutes
+    FROM session_tasks st
+    JOIN tasks t ON st.task_id = t.id
+    WHERE st.session_id = $1
+    ORDER BY t.title
+  `, [sessionId]);
+
+  return result.rows;
+};
+
+// Complete the open tasks linked to a session, as done by `actor`. Recurring
+// tasks (completed per occurrence) and tasks with open prerequisites are
+// skipped. Returns one { id, title, status, reason } per linked task.
+const completeSessionTasks = async (actor, userId, sessionId, db = { query }) => {
+  const linked = await db.query(`
+    SELECT
+      t.id, t.user_id, t.title, t.completed, t.recurrence,
+      EXISTS (
+        SELECT 1
+        FROM task_dependencies d
+        JOIN tasks p ON d.depends_on_id = p.id
+        WHERE d.task_id = t.id AND NOT p.completed AND p.deleted_at IS NULL
+      ) as blocked
+    FROM session_tasks st
+    JOIN tasks t ON st.task_id = t.id
+    WHERE st.session_id = $1 AND t.deleted_at IS NULL
+    ORDER BY t.title
+    FOR UPDATE OF t
+  `, [sessionId]);
+
+  const results = [];
+  for (const task of linked.rows) {
+    const result = { id: task.id, title: task.title };
+
+    if (task.completed) {
+      results.push({ ...result, status: 'unchanged' });
+    } else if (task.recurrence) {
+      results.push({ ...result, status: 'skipped', reason: 'Recurring tasks are completed per occurrence' });
+    } else if (task.blocked) {
+      results.push({ ...result, status: 'skipped', reason: 'Task has open prerequisites' });
+    } else {
+      await db.query(
+        'UPDATE tasks SET completed = true, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [task.id]
+      );
+      await recordTaskHistory(actor, {
+        task,
+        action: 'complete',
+        changes: { completed: { from: false, to: true } }
+      }, db);
+      await stopRunningTimer(userId, { taskId: task.id }, db);
+      results.push({ ...result, status: 'completed' });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  sessionTasksSql,
+  sessionTimeSql,
+  validateTaskLinks,
+  allocatedMinutes,
+  userOwnsTasks,
+  replaceSessionTasks,
+  completeSessionTasks
+};
\ No newline at end of file
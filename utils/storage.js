@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in storage drivers for uploaded files. Each factory returns an object
+// with save(key, buffer), createReadStream(key) and remove(key); keys are
+// relative paths such as '<userId>/<uuid>'. Deployments can plug in their own
+// (e.g. object storage) via registerStorageDriver and STORAGE_DRIVER.
+const drivers = {
+  // Files on the local disk under STORAGE_DIR (default for all environments)
+  local: () => {
+    const rootDir = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+
+    const resolveKey = (key) => {
+      const filePath = path.resolve(rootDir, key);
+      if (!filePath.startsWith(rootDir + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return filePath;
+    };
+
+    return {
+      save: async (key, buffer) => {
+        const filePath = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+      },
+      createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+      remove: async (key) => {
+        await fs.promises.rm(resolveKey(key), { force: true });
+      }
+    };
+  }
+};
+
+let activeDriver = null;
+
+// Register a custom driver factory under a name selectable via STORAGE_DRIVER
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  activeDriver = null;
+};
+
+const getStorage = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    activeDriver = drivers[name]();
+  }
+  return activeDriver;
+};
+
+module.exports = {
+  getStorage,
+  registerStorageDriver
+};
\ No newline at end of file
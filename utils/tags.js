@@ -0,0 +1,100 @@
+const { query } = require('../config/database');
+
+// Tags link to tasks and study sessions through these join tables
+const TAG_LINKS = {
+  task: { table: 'task_tags', column: 'task_id' },
+  session: { table: 'session_tags', column: 'session_id' }
+};
+
+// Select expression for the tags of a row, as a JSON array ordered by name
+const tagsSql = (kind, idExpr) => {
+  const { table, column } = TAG_LINKS[kind];
+  return `
+    COALESCE((
+      SELECT json_agg(json_build_object('id', tg.id, 'name', tg.name, 'color', tg.color) ORDER BY tg.name)
+      FROM ${table} l
+      JOIN tags tg ON l.tag_id = tg.id
+      WHERE l.${column} = ${idExpr}
+    ), '[]') as tags
+  `;
+};
+
+// Filter condition for rows carrying any (or all) of the tag IDs in paramRef
+const tagFilterSql = (kind, idExpr, paramRef, mode = 'any') => {
+  const { table, column } = TAG_LINKS[kind];
+
+  if (mode === 'all') {
+    return `(
+      SELECT COUNT(DISTINCT l.tag_id)
+      FROM ${table} l
+      WHERE l.${column} = ${idExpr} AND l.tag_id = ANY(${paramRef}::uuid[])
+    ) = cardinality(${paramRef}::uuid[])`;
+  }
+
+  return `EXISTS (
+    SELECT 1
+    FROM ${table} l
+    WHERE l.${column} = ${idExpr} AND l.tag_id = ANY(${paramRef}::uuid[])
+  )`;
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Parse a comma-separated tag ID list from the query string
+const parseTagIds = (value) => [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))];
+
+// express-validator custom validator for a comma-separated tag ID list
+const validateTagIdList = (value) => {
+  if (!parseTagIds(value).every(id => UUID_PATTERN.test(id))) {
+    throw new Error('Tags must be a comma-separated list of tag IDs');
+  }
+  return true;
+};
+
+// Check that every tag ID belongs to the user
+const userOwnsTags = async (userId, tagIds) => {
+  const uniqueIds = [...new Set(tagIds)];
+  if (uniqueIds.length === 0) {
+    return true;
+  }
+
+  const result = await query(
+    'SELECT COUNT(*) as count FROM tags WHERE id = ANY($1) AND user_id = $2',
+    [uniqueIds, userId]
+  );
+
+  return parseInt(result.rows[0].count) === uniqueIds.length;
+};
+
+// Replace the tags of a task or session; returns the new tags ordered by name.
+// Ownership of the tags must be checked beforehand with userOwnsTags.
+const replaceTags = async (kind, id, tagIds, db = { query }) => {
+  const { table, column } = TAG_LINKS[kind];
+
+  await db.query(`DELETE FROM ${table} WHERE ${column} = $1`, [id]);
+  await db.query(`
+    INSERT INTO ${table} (${column}, tag_id)
+    SELECT $1, tag_id FROM unnest($2::uuid[]) as tag_id
+    ON CONFLICT DO NOTHING
+  `, [id, [...new Set(tagIds)]]);
+
+  const result = await db.query(`
+    SELECT tg.id, tg.name, tg.color
+    FROM ${table} l
+    JOIN tags tg ON l.tag_id = tg.id
+    WHERE l.${column} = $1
+    ORDER BY tg.name
+  `, [id]);
+
+  return result.rows;
+};
+
+module.exports = {
+  UUID_PATTERN,
+  tagsSql,
+  tagFilterSql,
+  parseTagIds,
+  validateTagIdList,
+  userOwnsTags,
+  replaceTags
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+const { query } = require('../config/database');
+
+// Longest time entry; a timer left running overnight is cut off at this
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+// Minutes between a timer's start and now, at least one and at most a day
+const ELAPSED_MINUTES = `LEAST(GREATEST(ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) / 60), 1), ${MAX_ENTRY_MINUTES})::int`;
+
+// Stop the user's running timer, if any, optionally only when it runs for
+// `taskId`. Returns the finished entry or null.
+const stopRunningTimer = async (userId, { taskId = null } = {}, db = { query }) => {
+  const result = await db.query(`
+    UPDATE task_time_entries
+    SET
+      minutes = ${ELAPSED_MINUTES},
+      ended_at = LEAST(CURRENT_TIMESTAMP, started_at + INTERVAL '1 minute' * ${MAX_ENTRY_MINUTES})
+    WHERE user_id = $1 AND ended_at IS NULL AND ($2::uuid IS NULL OR task_id = $2)
+    RETURNING *
+  `, [userId, taskId]);
+
+  return result.rows[0] || null;
+};
+
+// Shape a time entry row for the API
+const formatTimeEntry = (entry) => ({
+  id: entry.id,
+  taskId: entry.task_id,
+  source: entry.source,
+  startedAt: entry.started_at,
+  endedAt: entry.ended_at,
+  minutes: entry.minutes,
+  running: entry.ended_at === null,
+  note: entry.note,
+  createdAt: entry.created_at
+});
+
+module.exports = {
+  MAX_ENTRY_MINUTES,
+  stopRunningTimer,
+  formatTimeEntry
+};
\ No newline at end of file
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+
+// Token lifetimes:
+//   ACCESS_TOKEN_EXPIRES_IN  access JWTs, as a jsonwebtoken duration (default 15m)
+//   REFRESH_TOKEN_TTL_DAYS   rotating refresh tokens, in days (default 30)
+// JWT_EXPIRES_IN used to set the lifetime of the single long-lived session
+// token and is deliberately ignored, so a leftover JWT_EXPIRES_IN=7d does not
+// turn access tokens back into week-long ones.
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+if (process.env.JWT_EXPIRES_IN && !process.env.ACCESS_TOKEN_EXPIRES_IN) {
+  console.warn(`JWT_EXPIRES_IN is no longer used; access tokens expire after ${ACCESS_TOKEN_EXPIRES_IN} (set ACCESS_TOKEN_EXPIRES_IN to change it)`);
+}
+
+// Personal access tokens are recognisable by their prefix
+const PAT_PREFIX = 'sp_pat_';
+
+// Hash an opaque token for storage (only the hash is ever persisted)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random opaque token
+const generateOpaqueToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Generate a new personal access token
+const generatePersonalAccessToken = () => `${PAT_PREFIX}${generateOpaqueToken(20)}`;
+
+// Sign a short-lived access token for a user
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, tokenVersion: user.token_version || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Sign a short-lived token proving the password step of a two-step (MFA) login
+const generateMfaPendingToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, purpose: 'mfa' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.MFA_PENDING_EXPIRES_IN || '5m' }
+  );
+};
+
+// Verify an MFA pending token; throws if it is invalid, expired or of another kind
+const verifyMfaPendingToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'mfa') {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  return decoded;
+};
+
+// Create and store a refresh token. A new family is started unless one is given.
+// Accepts an optional client so it can run inside a transaction.
+const issueRefreshToken = async (userId, { familyId, client } = {}) => {
+  const run = client ? client.query.bind(client) : query;
+  const token = generateOpaqueToken();
+
+  const result = await run(`
+    INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+    VALUES ($1, COALESCE($2, uuid_generate_v4()), $3, CURRENT_TIMESTAMP + INTERVAL '1 day' * $4)
+    RETURNING id, family_id, expires_at
+  `, [userId, familyId || null, hashToken(token), REFRESH_TOKEN_TTL_DAYS]);
+
+  return {
+    token,
+    id: result.rows[0].id,
+    familyId: result.rows[0].family_id,
+    expiresAt: result.rows[0].expires_at
+  };
+};
+
+// Issue an access/refresh token pair for a freshly authenticated user
+const issueTokenPair = async (user) => {
+  const refreshToken = await issueRefreshToken(user.id);
+
+  return {
+    token: generateAccessToken(user),
+    refreshToken: refreshToken.token,
+    refreshTokenExpiresAt: refreshToken.expiresAt
+  };
+};
+
+// Revoke every still-active token in a refresh token family
+const revokeTokenFamily = async (familyId, client) => {
+  const run = client ? client.query.bind(client) : query;
+  await run(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+    [familyId]
+  );
+};
+
+// Revoke all refresh tokens of a user and invalidate their outstanding access tokens
+const revokeAllUserTokens = async (userId, client) => {
+  const run = client ? client.query.bind(client) : query;
+  await run(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  await run('UPDATE users SET token_version = token_version + 1 WHERE id = $1', [userId]);
+};
+
+module.exports = {
+  PAT_PREFIX,
+  hashToken,
+  generateOpaqueToken,
+  generatePersonalAccessToken,
+  generateAccessToken,
+  generateMfaPendingToken,
+  verifyMfaPendingToken,
+  issueRefreshToken,
+  issueTokenPair,
+  revokeTokenFamily,
+  revokeAllUserTokens
+};
\ No newline at end of file
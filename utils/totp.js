@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) with the parameters every common
+// authenticator app uses: HMAC-SHA1, 6 digits, 30 second steps.
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random shared secret (base32, 160 bits as recommended by RFC 4226)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Current time step counter
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// HOTP value (RFC 4226) for a given counter
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code against the current step and `window` steps either side to
+// allow for clock drift. Returns the matching step, or null if none matched.
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(generateCode(secret, step + drift));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+// Provisioning URI that authenticator apps read from a QR code
+const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'StudyFlow') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};
\ No newline at end of file
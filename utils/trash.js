@@ -0,0 +1,54 @@
+const { query } = require('../config/database');
+const { removeOrphanedAttachments } = require('./attachments');
+
+// Deleted tasks, study sessions and subjects stay in the trash (deleted_at set)
+// for this many days before they are purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Trashable item types, keyed by the name used in /api/trash URLs
+const TRASH_TYPES = {
+  tasks: { table: 'tasks', label: 'Task' },
+  sessions: { table: 'study_sessions', label: 'Study session' },
+  subjects: { table: 'subjects', label: 'Subject' }
+};
+
+// When an item deleted at `deletedAt` will be purged
+const purgeDate = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Permanently delete trashed items older than the retention period.
+// Tasks and sessions go first; purging a subject cascades to anything left on it.
+// Attachments of purged items are removed from storage as well.
+const purgeExpiredTrash = async () => {
+  const purged = {};
+
+  for (const [type, { table }] of Object.entries(TRASH_TYPES)) {
+    const result = await query(`
+      DELETE FROM ${table}
+      WHERE deleted_at < CURRENT_TIMESTAMP - INTERVAL '1 day' * $1
+    `, [TRASH_RETENTION_DAYS]);
+    purged[type] = result.rowCount;
+  }
+
+  purged.attachments = await removeOrphanedAttachments();
+
+  return purged;
+};
+
+// Run the purge now and then hourly for the lifetime of the process
+const scheduleTrashPurge = () => {
+  const run = () => purgeExpiredTrash().catch(error => console.error('Trash purge error:', error));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  purgeDate,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
\ No newline at end of file
@@ -0,0 +1,79 @@
+const { query } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { hashToken, generateOpaqueToken } = require('./tokens');
+
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+// Resend requests are throttled per address whether or not it belongs to an
+// account awaiting verification, so responses never reveal which do
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+const RESEND_MAX_PER_HOUR = parseInt(process.env.EMAIL_VERIFICATION_RESEND_MAX_PER_HOUR) || 5;
+
+// Create a verification token for an address and email the link to it.
+// The address is stored with the token so it also works for email changes.
+const sendVerificationEmail = async (user, email = user.email) => {
+  const token = generateOpaqueToken(32);
+
+  await query(`
+    INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + INTERVAL '1 hour' * $4)
+  `, [user.id, email, hashToken(token), VERIFICATION_TTL_HOURS]);
+
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/verify-email?token=${token}`;
+  await sendMail({
+    to: email,
+    subject: 'Verify your StudyFlow email address',
+    text: `Hi ${user.first_name},\n\n` +
+      `Please confirm your email address by opening the link below within ${VERIFICATION_TTL_HOURS} hours:\n\n` +
+      `${verifyUrl}\n\n` +
+      'If you did not create a StudyFlow account, you can ignore this email.'
+  });
+};
+
+// Count a resend request for an address. Returns { allowed: true } or
+// { allowed: false, retryAfter } (seconds); refused requests are not counted.
+const throttleVerificationResend = async (email) => {
+  const result = await query(`
+    SELECT
+      request_count,
+      EXTRACT(EPOCH FROM (window_started_at + INTERVAL '1 hour' - CURRENT_TIMESTAMP)) as window_remaining,
+      EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - last_requested_at)) as since_last_request
+    FROM verification_resend_throttles
+    WHERE email = $1 AND window_started_at > CURRENT_TIMESTAMP - INTERVAL '1 hour'
+  `, [email]);
+
+  if (result.rows.length > 0) {
+    const throttle = result.rows[0];
+
+    if (throttle.request_count >= RESEND_MAX_PER_HOUR) {
+      return { allowed: false, retryAfter: Math.ceil(parseFloat(throttle.window_remaining)) };
+    }
+
+    const sinceLastRequest = parseFloat(throttle.since_last_request);
+    if (sinceLastRequest < RESEND_COOLDOWN_SECONDS) {
+      return { allowed: false, retryAfter: Math.ceil(RESEND_COOLDOWN_SECONDS - sinceLastRequest) };
+    }
+  }
+
+  await query(`
+    INSERT INTO verification_resend_throttles (email, request_count, window_started_at, last_requested_at)
+    VALUES ($1, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    ON CONFLICT (email) DO UPDATE SET
+      request_count = CASE
+        WHEN verification_resend_throttles.window_started_at <= CURRENT_TIMESTAMP - INTERVAL '1 hour' THEN 1
+        ELSE verification_resend_throttles.request_count + 1
+      END,
+      window_started_at = CASE
+        WHEN verification_resend_throttles.window_started_at <= CURRENT_TIMESTAMP - INTERVAL '1 hour' THEN CURRENT_TIMESTAMP
+        ELSE verification_resend_throttles.window_started_at
+      END,
+      last_requested_at = CURRENT_TIMESTAMP
+  `, [email]);
+
+  return { allowed: true };
+};
+
+module.exports = {
+  sendVerificationEmail,
+  throttleVerificationResend
+};
\ No newline at end of file